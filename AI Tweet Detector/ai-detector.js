@@ -5,49 +5,668 @@
  */
 
 class AIDetector {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.loadJSON] - async (path) => object, replaces fetching
+   *   bundled files through chrome.runtime (used when running outside the extension)
+   *   and turns off reading pattern overrides from chrome.storage
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.patterns = null;
-    this.stats = {
-      tweetsAnalyzed: 0,
-      aiDetected: 0,
-      confidenceSum: 0
+    this.patternOverrides = undefined; // User edits to the pattern file, undefined until loaded
+    this.patternLoads = 0; // Counts loadPatterns() calls so only the latest installs its result
+    this.matchers = null; // Regexes compiled once from this.patterns
+    this.languages = {}; // Language code -> profile with its own patterns and matchers
+    this.neutralLanguage = null; // Profile used when no pattern pack matches the tweet
+    this.wordSegmenter = null; // Intl.Segmenter for scripts written without spaces
+    this.model = null;
+    this.stats = this.createEmptyStats();
+    this.duplicateIndex = null; // Near-duplicate index, sized from the pattern file
+    this.authorActivity = new Map(); // Username -> sorted post times (ms) seen this session
+    this.feedbackLabels = []; // User corrections from setFeedback()
+    this.feedback = null; // { weightShifts, suppressedTexts } built from them on first use
+    this.accountLists = null; // The user's trusted, bot and ignored accounts, see setAccountLists()
+    this.setAccountLists();
+
+    // Confidence boundaries for each verdict tier (overridden from settings)
+    this.tierThresholds = {
+      uncertain: 0.3,
+      likelyAI: 0.6,
+      confirmedBot: 0.9
     };
-    this.recentTweets = new Map(); // Store recent tweets for duplicate detection
-    this.maxCacheSize = 500; // Maximum tweets to keep in cache
-    
-    // Known AI bot accounts
-    this.knownAIBots = [
-      'grok',
-      'chatgpt',
-      'claude',
-      'gemini',
-      'copilot',
-      'bard',
-      'metaai',
-      'perplexity_ai',
-      'anthropic',
-      'openai'
-    ];
-    
-    this.loadPatterns();
+    
+    this.ready = Promise.all([this.loadPatterns(), this.loadModel()]);
   }
 
+  /**
+   * Load the pattern file and validate it against its schema, merge the
+   * user's overrides over it, then load the language packs it lists. Falls
+   * back to the built-in defaults if the file or a pack step fails.
+   */
   async loadPatterns() {
+    const load = ++this.patternLoads;
+    const install = (patterns, languagePacks) => {
+      // A later reload (new overrides) may have finished first
+      if (load === this.patternLoads) {
+        this.setPatterns(patterns, languagePacks);
+      }
+    };
+    
     try {
-      const response = await fetch(chrome.runtime.getURL('ai-patterns.json'));
-      this.patterns = await response.json();
+      const [patterns, schema, overrides] = await Promise.all([
+        this.fetchJSON('ai-patterns.json'),
+        this.fetchJSON('ai-patterns.schema.json'),
+        this.getPatternOverrides()
+      ]);
+      
+      const errors = this.validatePatterns(patterns, schema);
+      if (errors.length > 0) {
+        console.error('AI patterns failed schema validation, using defaults:', errors);
+        install(this.getDefaultPatterns());
+        return;
+      }
+      
+      const merged = this.applyPatternOverrides(patterns, overrides, schema);
+      const languagePacks = await this.loadLanguagePacks(merged, schema);
+      install(merged, languagePacks);
     } catch (error) {
       console.error('Failed to load AI patterns:', error);
-      this.patterns = this.getDefaultPatterns();
+      install(this.getDefaultPatterns());
+    }
+  }
+
+  /**
+   * The user's pattern overrides: those passed to setPatternOverrides(), or
+   * else the ones saved by the options page, where extension storage exists
+   */
+  async getPatternOverrides() {
+    if (this.patternOverrides === undefined) {
+      const storage = !this.options.loadJSON && typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
+      const stored = storage ? (await storage.get(['patternOverrides'])).patternOverrides : null;
+      // setPatternOverrides() may have run while storage was read
+      if (this.patternOverrides === undefined) {
+        this.patternOverrides = stored || null;
+      }
+    }
+    return this.patternOverrides;
+  }
+
+  /**
+   * Replace the user's pattern overrides and reload the patterns with them
+   * Tweets are scored with the previous patterns until the reload finishes.
+   * A copy is kept, so later edits to the caller's object count as changes.
+   */
+  async setPatternOverrides(overrides) {
+    const next = overrides ? JSON.parse(JSON.stringify(overrides)) : null;
+    if (JSON.stringify(next) === JSON.stringify(this.patternOverrides)) return;
+    
+    this.patternOverrides = next;
+    await this.loadPatterns();
+  }
+
+  /**
+   * Merge pattern overrides over the pattern file
+   * @param {Object} overrides - { lists, weights } or null. lists maps a list's path
+   *   ("aiIndicatorWords", "spamIndicators.cryptoKeywords") to { add, remove } arrays of
+   *   entries; weights maps a signal name to a multiplier for its model weights
+   * @returns {Object} - The merged patterns, or the file's own if the merge fails validation
+   */
+  applyPatternOverrides(patterns, overrides, schema) {
+    if (!overrides) return patterns;
+    
+    const merged = JSON.parse(JSON.stringify(patterns));
+    for (const [path, { add = [], remove = [] }] of Object.entries(overrides.lists || {})) {
+      const [section, key] = path.split('.');
+      const container = key ? merged[section] : merged;
+      const name = key || section;
+      if (!container || !Array.isArray(container[name])) {
+        console.warn(`AI pattern overrides: no list at ${path}, skipping`);
+        continue;
+      }
+      
+      const removed = new Set(remove);
+      container[name] = [...new Set([...container[name].filter(entry => !removed.has(entry)), ...add])];
+    }
+    
+    for (const [name, scale] of Object.entries(overrides.weights || {})) {
+      if (merged.scoring.signals[name]) {
+        merged.scoring.signals[name].weightScale = scale;
+      }
+    }
+    
+    const errors = this.validatePatterns(merged, schema);
+    if (errors.length > 0) {
+      console.error('AI pattern overrides failed schema validation, ignoring them:', errors);
+      return patterns;
+    }
+    return merged;
+  }
+
+  /**
+   * Load the per-language packs named in patterns.languagePacks
+   * (ai-patterns.<code>.json). Each pack is merged over the base file and the
+   * result validated against the same schema; broken packs are skipped.
+   * @returns {Object} - Language code -> merged pattern set
+   */
+  async loadLanguagePacks(patterns, schema) {
+    const codes = (patterns.languagePacks || []).filter(code => code !== patterns.language);
+    
+    const loaded = await Promise.all(codes.map(async (code) => {
+      try {
+        const pack = await this.fetchJSON(`ai-patterns.${code}.json`);
+        const merged = this.mergeLanguagePack(patterns, pack);
+        const errors = this.validatePatterns(merged, schema);
+        if (pack.language !== code) {
+          errors.push(`$.language: expected "${code}"`);
+        }
+        if (errors.length > 0) {
+          console.error(`AI pattern pack "${code}" failed schema validation, skipping:`, errors);
+          return null;
+        }
+        return [code, merged];
+      } catch (error) {
+        console.error(`Failed to load AI pattern pack "${code}":`, error);
+        return null;
+      }
+    }));
+    
+    return Object.fromEntries(loaded.filter(Boolean));
+  }
+
+  /**
+   * Build a full pattern set for one language. Thresholds, account and link
+   * patterns come from the base file; the lists in
+   * AIDetector.LANGUAGE_SPECIFIC_LISTS start empty so English words never
+   * score another language, then the pack's sections are merged on top.
+   */
+  mergeLanguagePack(base, pack) {
+    const merged = JSON.parse(JSON.stringify(base));
+    delete merged.languagePacks;
+    
+    for (const path of AIDetector.LANGUAGE_SPECIFIC_LISTS) {
+      const [section, key] = path.split('.');
+      if (key) {
+        merged[section][key] = [];
+      } else {
+        merged[section] = [];
+      }
+    }
+    
+    for (const [section, value] of Object.entries(pack)) {
+      const isSection = value && typeof value === 'object' && !Array.isArray(value);
+      merged[section] = isSection ? { ...merged[section], ...value } : value;
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Install a pattern set and compile its word lists and regexes
+   * @param {Object} patterns - Base pattern file
+   * @param {Object} languagePacks - Language code -> merged pattern set from loadLanguagePacks
+   */
+  setPatterns(patterns, languagePacks = {}) {
+    this.patterns = patterns;
+    this.matchers = this.compilePatterns(patterns);
+    
+    this.languages = { [patterns.language]: this.createLanguageProfile(patterns, this.matchers) };
+    for (const [code, packPatterns] of Object.entries(languagePacks)) {
+      this.languages[code] = this.createLanguageProfile(packPatterns);
+    }
+    // Same thresholds as the base file with every language-specific list empty
+    this.neutralLanguage = this.createLanguageProfile(this.mergeLanguagePack(patterns, { language: 'und' }));
+    this.feedback = null; // Rebuilt with the new feedback settings
+    
+    // Keep already indexed tweets when patterns are reloaded
+    const windowSize = patterns.duplicateDetection.windowSize;
+    if (this.duplicateIndex) {
+      this.duplicateIndex.setMaxEntries(windowSize);
+    } else {
+      const IndexClass = typeof NearDuplicateIndex !== 'undefined'
+        ? NearDuplicateIndex
+        : require('./duplicate-index.js');
+      this.duplicateIndex = new IndexClass({ maxEntries: windowSize });
+    }
+  }
+
+  /**
+   * Compile every word list and regex in the pattern file once, so analyzing
+   * a tweet never builds a RegExp. Invalid regexes are reported here, once,
+   * and left out of the matcher.
+   */
+  compilePatterns(patterns) {
+    const compileList = (section, sources, flags) => sources.flatMap(source => {
+      try {
+        return [{ source, regex: new RegExp(source, flags) }];
+      } catch (error) {
+        console.warn(`AI patterns: skipping invalid regex in ${section}: ${source} (${error.message})`);
+        return [];
+      }
+    });
+
+    return {
+      aiWords: this.compileWordList(patterns.aiIndicatorWords),
+      aiPhrases: compileList('aiPhrasePatterns', patterns.aiPhrasePatterns, 'i'),
+      citations: compileList('structuralPatterns.citationPatterns', patterns.structuralPatterns.citationPatterns, ''),
+      conversationalHooks: compileList('structuralPatterns.conversationalHooks', patterns.structuralPatterns.conversationalHooks, 'i'),
+      suspiciousLinks: compileList('spamIndicators.suspiciousLinkPatterns', patterns.spamIndicators.suspiciousLinkPatterns, 'i'),
+      shallowPatterns: compileList('lowEffortPatterns.shallowPatterns', patterns.lowEffortPatterns.shallowPatterns, 'i'),
+      // Case-sensitive: patterns distinguish "John12345" from "john12345"
+      suspiciousNames: compileList('accountPatterns.suspiciousNamePatterns', patterns.accountPatterns.suspiciousNamePatterns, ''),
+      knownAIBots: this.compileAccountList(patterns.accountPatterns.knownAIBots),
+      // Same emoji repeated spamIndicators.repeatedEmojis times in a row
+      repeatedEmojis: new RegExp(`([\\u{1F300}-\\u{1F9FF}]|[\\u{2600}-\\u{26FF}]|[\\u{2700}-\\u{27BF}]|[\\u{1F000}-\\u{1F02F}]|[\\u{1F0A0}-\\u{1F0FF}]|[\\u{1F100}-\\u{1F64F}]|[\\u{1F680}-\\u{1F6FF}])\\1{${patterns.spamIndicators.repeatedEmojis - 1},}`, 'u')
+    };
+  }
+
+  createLanguageProfile(patterns, matchers = this.compilePatterns(patterns)) {
+    return {
+      code: patterns.language,
+      patterns,
+      matchers,
+      stopwords: new Set(patterns.languageProfile.stopwords.map(word => word.toLowerCase())),
+      characters: [...(patterns.languageProfile.characters || '').toLowerCase()]
+    };
+  }
+
+  /**
+   * Pattern profile for a language code, or the language-neutral profile
+   * when there is no pack for it
+   */
+  getLanguageProfile(code) {
+    return this.languages[code] || this.neutralLanguage;
+  }
+
+  /**
+   * Lightweight language identification: the dominant script decides
+   * non-Latin text, Latin text is matched against each loaded pack's
+   * stopwords and distinctive characters (ñ, ß...). A pack wins with the
+   * most hits, and longer text needs at least two. Without a clear winner the
+   * text is treated as the base language, since stopword-light text is
+   * typical of LLM output; it is undetermined ('und') only when another pack
+   * matched as well as the base language did.
+   * @returns {string} - ISO 639-1 code, or 'und'
+   */
+  detectLanguage(text) {
+    let script = null;
+    let scriptCount = 0;
+    for (const [name, regex] of AIDetector.SCRIPTS) {
+      const count = (text.match(regex) || []).length;
+      if (count > scriptCount) {
+        script = name;
+        scriptCount = count;
+      }
+    }
+    if (!script) return this.patterns.language;
+    
+    if (script !== 'Latin') {
+      // Japanese mixes kanji with kana; kanji alone is Chinese
+      if (script === 'Han' && AIDetector.KANA.test(text)) return 'ja';
+      return AIDetector.SCRIPT_LANGUAGES[script];
+    }
+    
+    // Links, mentions and hashtags say nothing about the language
+    const lowerText = text.replace(/https?:\/\/\S+|[@#][\p{L}\p{N}_]+/gu, ' ').toLowerCase();
+    const words = lowerText.match(/\p{L}+/gu) || [];
+    const base = this.patterns.language;
+    const hits = {};
+    for (const [code, profile] of Object.entries(this.languages)) {
+      hits[code] = words.filter(word => profile.stopwords.has(word)).length +
+                   profile.characters.filter(char => lowerText.includes(char)).length;
+    }
+    
+    const bestHits = Math.max(...Object.values(hits));
+    const leaders = Object.keys(hits).filter(code => hits[code] === bestHits);
+    const enoughHits = words.length <= AIDetector.MIN_WORDS_FOR_LANGUAGE || bestHits >= 2;
+    if (leaders.length === 1 && bestHits > 0 && enoughHits) return leaders[0];
+    
+    // No clear winner: ambiguous only if another pack ties with the base language
+    return bestHits > 0 && leaders.length > 1 && leaders.includes(base) ? 'und' : base;
+  }
+
+  /**
+   * Build one alternation regex that matches any whole word or phrase in the list
+   * Longer entries come first so "delving" wins over "delve".
+   */
+  compileWordList(words) {
+    const unique = [...new Set(words.map(word => word.toLowerCase()))];
+    if (unique.length === 0) return null;
+    
+    const alternation = unique
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    // Unicode-aware word boundaries, \b only knows ASCII letters ("ámbito")
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternation})(?![\\p{L}\\p{N}_])`, 'giu');
+  }
+
+  /**
+   * Load the logistic regression model (one head per category)
+   * Falls back to the built-in model if the file is missing or malformed.
+   */
+  async loadModel() {
+    try {
+      const model = await this.fetchJSON('ai-model.json');
+      
+      const errors = this.validateModel(model);
+      if (errors.length > 0) {
+        console.error('AI model is invalid, using defaults:', errors);
+        this.model = this.getDefaultModel();
+        return;
+      }
+      
+      this.model = model;
+    } catch (error) {
+      console.error('Failed to load AI model:', error);
+      this.model = this.getDefaultModel();
+    }
+  }
+
+  /**
+   * Check that the model has a numeric bias and weights for every category
+   * @returns {string[]} - Validation errors, empty if valid
+   */
+  validateModel(model) {
+    const errors = [];
+    if (!model || typeof model.heads !== 'object') {
+      return ['model: missing "heads"'];
+    }
+    
+    for (const category of AIDetector.CATEGORIES) {
+      const head = model.heads[category];
+      if (!head) {
+        errors.push(`heads.${category}: missing`);
+        continue;
+      }
+      if (!Number.isFinite(head.bias)) {
+        errors.push(`heads.${category}.bias: expected number`);
+      }
+      if (!head.weights || typeof head.weights !== 'object') {
+        errors.push(`heads.${category}.weights: expected object`);
+        continue;
+      }
+      for (const [name, weight] of Object.entries(head.weights)) {
+        if (!Number.isFinite(weight)) {
+          errors.push(`heads.${category}.weights.${name}: expected number`);
+        }
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Minimal fallback model covering the strongest signal of each category
+   */
+  getDefaultModel() {
+    return {
+      version: 1,
+      trainedOn: null,
+      heads: {
+        llm: { bias: -3.9, weights: { aiWords: 1.8, aiPhrases: 2.16, emDashes: 0.54 } },
+        spam: { bias: -3.9, weights: { cryptoSpam: 1.51, adultPromo: 1.76, promotional: 1.26 } },
+        lowEffort: { bias: -3.9, weights: { veryShort: 4.32, shallowComment: 5.04 } },
+        duplicate: { bias: -3.9, weights: { duplicateContent: 5.76 } }
+      }
+    };
+  }
+
+  /**
+   * Fetch a JSON file bundled with the extension
+   */
+  async fetchJSON(path) {
+    if (this.options.loadJSON) {
+      return this.options.loadJSON(path);
+    }
+    
+    const response = await fetch(chrome.runtime.getURL(path));
+    return response.json();
+  }
+
+  /**
+   * Validate a pattern file against the JSON schema
+   * Supports the subset of JSON Schema used by ai-patterns.schema.json
+   * @returns {string[]} - Validation errors, empty if valid
+   */
+  validatePatterns(patterns, schema) {
+    const errors = [];
+    this.validateNode(patterns, schema, schema, '$', errors);
+    return errors;
+  }
+
+  validateNode(value, schema, rootSchema, path, errors) {
+    if (schema.$ref) {
+      const refPath = schema.$ref.replace(/^#\//, '').split('/');
+      const resolved = refPath.reduce((node, key) => node && node[key], rootSchema);
+      if (!resolved) {
+        errors.push(`${path}: unresolved $ref ${schema.$ref}`);
+        return;
+      }
+      this.validateNode(value, resolved, rootSchema, path, errors);
+      return;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push(`${path}: expected ${schema.type}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: must match ${schema.pattern}`);
+      }
+      if (schema.format === 'regex') {
+        try {
+          new RegExp(value);
+        } catch (e) {
+          errors.push(`${path}: invalid regex (${e.message})`);
+        }
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(item, schema.items, rootSchema, `${path}[${index}]`, errors);
+      });
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      }
+      
+      const properties = schema.properties || {};
+      for (const [key, child] of Object.entries(value)) {
+        if (properties[key]) {
+          this.validateNode(child, properties[key], rootSchema, `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.validateNode(child, schema.additionalProperties, rootSchema, `${path}.${key}`, errors);
+        }
+      }
+    }
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === type;
     }
   }
 
+  /**
+   * Update verdict tier boundaries
+   * @param {Object} thresholds - { uncertain, likelyAI, confirmedBot } on a 0-1 scale
+   */
+  setTierThresholds(thresholds = {}) {
+    const next = { ...this.tierThresholds };
+    for (const key of Object.keys(next)) {
+      const value = Number(thresholds[key]);
+      if (Number.isFinite(value)) {
+        next[key] = Math.max(0, Math.min(1, value));
+      }
+    }
+
+    // Keep tiers ordered so a higher tier never starts below a lower one
+    next.likelyAI = Math.max(next.likelyAI, next.uncertain);
+    next.confirmedBot = Math.max(next.confirmedBot, next.likelyAI);
+    this.tierThresholds = next;
+  }
+
+  /**
+   * Map a confidence score to a verdict tier
+   * @returns {string} - 'human' | 'uncertain' | 'likely_ai' | 'confirmed_bot'
+   */
+  getVerdict(confidence) {
+    if (confidence >= this.tierThresholds.confirmedBot) return 'confirmed_bot';
+    if (confidence >= this.tierThresholds.likelyAI) return 'likely_ai';
+    if (confidence >= this.tierThresholds.uncertain) return 'uncertain';
+    return 'human';
+  }
+
+  /**
+   * Minimal fallback used when ai-patterns.json is missing or invalid.
+   * Keeps every threshold and weight so scoring still works, with short lists.
+   */
   getDefaultPatterns() {
     return {
+      language: 'en',
+      languagePacks: [],
+      languageProfile: {
+        stopwords: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'it', 'that', 'this', 'you', 'with']
+      },
       aiIndicatorWords: ['delve', 'tapestry', 'intricate', 'nuanced', 'multifaceted'],
       aiPhrasePatterns: ["it's not .+ it's .+", "as an AI"],
-      punctuationPatterns: { excessiveEmDashes: 2 },
-      spamIndicators: { excessiveHashtags: 5 }
+      punctuationPatterns: {
+        excessiveEmDashes: 1,
+        excessiveColons: 2,
+        excessiveSemicolons: 1,
+        excessiveQuotations: 3,
+        bulletPointsInTweet: true,
+        numberedListsInTweet: true
+      },
+      structuralPatterns: {
+        threadStarters: [],
+        formalConclusions: ['in conclusion', 'in summary'],
+        longThreadMinWords: 100,
+        longThreadMinParagraphs: 3,
+        citationPatterns: [],
+        legalTerms: [],
+        minLegalTerms: 3,
+        sourceNames: [],
+        minSources: 2,
+        balancedPhrases: [],
+        minBalancedPhrases: 2,
+        balancedMinWords: 30,
+        conversationalHooks: ['your take\\?', 'thoughts\\?'],
+        mixedFormalEmojiMinWords: 50,
+        mixedFormalEmojiFormality: 0.6
+      },
+      spamIndicators: {
+        excessiveHashtags: 4,
+        excessiveMentions: 3,
+        allCapsWords: 3,
+        repeatedEmojis: 2,
+        excessiveEmojis: 4,
+        excessiveEmojisMaxWords: 20,
+        emojiDensity: 0.1,
+        multipleLinks: 2,
+        minCryptoKeywords: 2,
+        minPromotionalPhrases: 2,
+        genericResponses: [],
+        cryptoKeywords: [],
+        adultContentKeywords: [],
+        promotionalPhrases: [],
+        suspiciousLinkPatterns: []
+      },
+      lowEffortPatterns: {
+        veryShortMaxWords: 3,
+        veryShortMaxChars: 30,
+        singleWordMaxChars: 15,
+        shallowMaxWords: 4,
+        shallowMaxChars: 30,
+        shallowPatterns: []
+      },
+      accountPatterns: {
+        newAccountThreshold: 90,
+        knownAIBots: ['grok', 'askperplexity'],
+        suspiciousNamePatterns: []
+      },
+      duplicateDetection: {
+        similarityThreshold: 0.6,
+        windowSize: 5000,
+        maxMatches: 5
+      },
+      replyContext: {
+        minParaphraseOverlap: 0.2,
+        verbatimOverlap: 0.8,
+        minKeywordLength: 4,
+        minRestatedKeywords: 3,
+        hookMinWords: 8
+      },
+      feedback: {
+        learningRate: 0.1,
+        epochs: 20,
+        maxWeightShift: 1.5
+      },
+      postingCadence: {
+        minTweets: 5,
+        historySize: 100,
+        maxAuthors: 2000,
+        burstMinutes: 2,
+        regularMaxVariation: 0.2,
+        burstMinShare: 0.5,
+        roundTheClockMinHours: 20,
+        roundTheClockMinSpanHours: 24
+      },
+      stylometricFeatures: {
+        averageSentenceLength: { ai: 18, human: 12 },
+        vocabularyDiversity: { ai: 0.7, human: 0.85 },
+        formalityScore: { ai: 0.75, human: 0.5 },
+        formalWords: [],
+        formalWordWeight: 0.15,
+        contractions: [],
+        contractionWeight: -0.1,
+        slang: [],
+        slangWeight: -0.15
+      },
+      scoring: {
+        aiWordRatio: { min: 0.01, reason: 0.02, scale: 25 },
+        aiPhraseMatchScore: 0.6,
+        signals: {
+          aiWords: { group: 'aiWord' },
+          aiPhrases: { group: 'aiPhrase' },
+          emDashes: { group: 'punctuation' },
+          veryShort: { group: 'lowEffort' },
+          duplicateContent: { group: 'duplicate' },
+          paraphrasesParent: { group: 'replyContext' },
+          regularInterval: { group: 'metadata' },
+          spamCard: { group: 'botSpam' }
+        }
+      }
     };
   }
 
@@ -55,65 +674,203 @@ class AIDetector {
    * Main detection function - analyzes tweet text and returns confidence score
    * @param {string} text - Tweet text to analyze
    * @param {Object} metadata - Additional metadata (username, account age, etc.)
-   * @returns {Object} - { isAI: boolean, confidence: number, reasons: string[] }
+   *   metadata.replyContext is { text, username } of the tweet this one replies to, if known,
+   *   metadata.cardText the title and description of the tweet's link card
+   * @returns {Object} - { isAI, verdict, category, categories, confidence, reasons, breakdown, language, suppressed, features }
+   *   category is the highest-scoring label in AIDetector.CATEGORIES (duplicate for a likely copy), categories maps each label to its score,
+   *   breakdown explains the winning category's score (null for listed accounts, see getAccountListing),
+   *   language is the detected language code ('und' if unknown),
+   *   suppressed is true when the text was marked as not AI, which makes the verdict 'human'
    */
   async analyze(text, metadata = {}) {
-    if (!this.patterns) {
-      await this.loadPatterns();
+    if (!this.patterns || !this.model) {
+      await this.ready;
     }
 
-    // Check if this is a known AI bot account
-    if (metadata.username) {
-      const username = (metadata.username || '').toLowerCase().replace(/[@\s]/g, '');
-      const isKnownBot = this.knownAIBots.some(bot => username.includes(bot) || bot.includes(username));
-      
-      if (isKnownBot) {
-        this.stats.tweetsAnalyzed++;
-        this.stats.aiDetected++;
-        this.stats.confidenceSum += 1.0;
-        
-        return {
-          isAI: true,
-          confidence: 1.0,
-          reasons: ['Official AI bot account'],
-          features: { isKnownAIBot: true }
-        };
-      }
+    // Listed accounts (the user's lists and known AI bots) are not scored
+    const listing = this.getAccountListing(metadata.username);
+    if (listing) {
+      return this.recordStats(this.getListedResult(listing, text));
     }
 
     const features = this.extractFeatures(text, metadata);
     const score = this.calculateAIScore(features);
-    // Flag as AI if ANY indicator is found (even a single match)
-    const isAI = score.reasons.length > 0 || score.confidence > 0;
+    // Text the user already marked as not AI stays clean wherever it shows up again
+    const isSuppressed = this.getFeedback().suppressedTexts.has(this.normalizeText(text));
+    const verdict = isSuppressed ? 'human' : this.getVerdict(score.confidence);
+    // Only the upper two tiers count as AI; "uncertain" is shown but not counted
+    const isAI = verdict === 'likely_ai' || verdict === 'confirmed_bot';
+
+    return this.recordStats({
+      isAI,
+      verdict,
+      category: score.category,
+      categories: score.categories,
+      confidence: score.confidence,
+      reasons: score.reasons,
+      breakdown: score.breakdown,
+      language: features.language,
+      suppressed: isSuppressed,
+      features
+    });
+  }
+
+  /**
+   * Result for a listed account, which is not scored: bots are confirmed
+   * bots at 100%, trusted and ignored accounts are human at 0%
+   * @param {string} listing - From getAccountListing
+   */
+  getListedResult(listing, text) {
+    const isBot = listing === 'bot' || listing === 'knownBot';
+    return {
+      isAI: isBot,
+      verdict: isBot ? 'confirmed_bot' : 'human',
+      category: 'llm',
+      categories: Object.fromEntries(AIDetector.CATEGORIES.map(category => [category, isBot && category === 'llm' ? 1 : 0])),
+      confidence: isBot ? 1.0 : 0,
+      reasons: [AIDetector.ACCOUNT_LIST_REASONS[listing]],
+      breakdown: null,
+      language: this.detectLanguage(text),
+      suppressed: false,
+      features: { accountListing: listing }
+    };
+  }
+
+  /**
+   * Install the user's account lists
+   * @param {Object} lists - { trusted, bots, ignored }, each an array of handles;
+   *   * in a handle matches any run of handle characters, e.g. "*_gpt"
+   */
+  setAccountLists(lists = {}) {
+    this.accountLists = Object.fromEntries(AIDetector.ACCOUNT_LISTS.map(name => [name, this.compileAccountList(lists[name])]));
+  }
+
+  /**
+   * Split a list of handles into exact names and wildcard regexes
+   * Entries that are not a handle, and a bare * (every account), are dropped.
+   * @returns {Object} - { handles: Set, wildcards: RegExp[] }
+   */
+  compileAccountList(entries = []) {
+    const list = { handles: new Set(), wildcards: [] };
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const handle = this.normalizeHandle(entry);
+      if (!/^[a-z0-9_*]+$/.test(handle) || /^\*+$/.test(handle)) continue;
+
+      if (handle.includes('*')) {
+        list.wildcards.push(new RegExp(`^${handle.replace(/\*+/g, '[a-z0-9_]*')}$`));
+      } else {
+        list.handles.add(handle);
+      }
+    }
+    return list;
+  }
+
+  normalizeHandle(username) {
+    return String(username || '').toLowerCase().replace(/[@\s]/g, '');
+  }
+
+  /**
+   * Which list an account is on, checked before anything is scored
+   * The user's lists come first (ignored, then trusted, then bots), then the
+   * pattern file's knownAIBots. Handles must match exactly or by wildcard.
+   * @returns {string|null} - 'ignored' | 'trusted' | 'bot' | 'knownBot', null when on none
+   */
+  getAccountListing(username) {
+    const handle = this.normalizeHandle(username);
+    if (!handle) return null;
 
+    const isOn = (list) => list.handles.has(handle) || list.wildcards.some(regex => regex.test(handle));
+    if (isOn(this.accountLists.ignored)) return 'ignored';
+    if (isOn(this.accountLists.trusted)) return 'trusted';
+    if (isOn(this.accountLists.bots)) return 'bot';
+    // Pattern file not loaded yet: the known bots are checked again when scoring
+    if (this.matchers && isOn(this.matchers.knownAIBots)) return 'knownBot';
+    return null;
+  }
+
+  /**
+   * Count an analyze() result towards the detector statistics
+   * Public so a client scoring tweets in a worker can keep its own counts.
+   * @returns {Object} - The result, unchanged
+   */
+  recordStats(result) {
     this.stats.tweetsAnalyzed++;
-    if (isAI) {
+    if (result.isAI) {
       this.stats.aiDetected++;
-      this.stats.confidenceSum += score.confidence;
+      this.stats.confidenceSum += result.confidence;
+      this.stats.categories[result.category]++;
+    }
+    return result;
+  }
+
+  /**
+   * Analyze consecutive tweets by one author (a self-thread) as one document
+   * Each member was already analyzed on its own, so the joined text is not
+   * checked against or added to the duplicate index, and stats are untouched.
+   * @param {string[]} texts - Member tweet texts in thread order
+   * @param {Object} metadata - Author metadata, as for analyze()
+   * @returns {Object} - Same shape as analyze(), plus thread: { size }; suppressed
+   *   when any member's text was marked as not AI
+   */
+  async analyzeThread(texts, metadata = {}) {
+    if (!this.patterns || !this.model) {
+      await this.ready;
+    }
+
+    const listing = this.getAccountListing(metadata.username);
+    if (listing) {
+      return { ...this.getListedResult(listing, texts.join('\n\n')), thread: { size: texts.length } };
     }
 
+    const features = this.extractFeatures(texts.join('\n\n'), metadata, { record: false });
+    const score = this.calculateAIScore(features);
+    const { suppressedTexts } = this.getFeedback();
+    const isSuppressed = texts.some(text => suppressedTexts.has(this.normalizeText(text)));
+    const verdict = isSuppressed ? 'human' : this.getVerdict(score.confidence);
+
     return {
-      isAI,
+      isAI: verdict === 'likely_ai' || verdict === 'confirmed_bot',
+      verdict,
+      category: score.category,
+      categories: score.categories,
       confidence: score.confidence,
       reasons: score.reasons,
+      breakdown: score.breakdown,
+      language: features.language,
+      suppressed: isSuppressed,
+      thread: { size: texts.length },
       features
     };
   }
 
   /**
    * Extract linguistic and structural features from tweet text
+   * Word lists and phrase patterns come from the pack for the detected
+   * language, or the language-neutral profile if there is none.
+   * @param {Object} options
+   * @param {boolean} [options.record=true] - Check the text against the duplicate
+   *   index and add it, and add metadata.timestamp to the author's posting history;
+   *   off for documents built from tweets that were already recorded
    */
-  extractFeatures(text, metadata) {
+  extractFeatures(text, metadata, { record = true } = {}) {
+    const language = this.detectLanguage(text);
+    const profile = this.getLanguageProfile(language);
     const totalWords = this.countWords(text);
     const paragraphs = text.split(/\n\n+/).filter(p => p.trim().length > 0);
+    const structure = profile.patterns.structuralPatterns;
+    const lowEffort = this.patterns.lowEffortPatterns;
     
     const features = {
+      // Language
+      language,
+      patternLanguage: profile.code,
+      
       // Word-level features
-      aiWordCount: this.countAIWords(text),
+      aiWordCount: this.countAIWords(text, profile),
       totalWords: totalWords,
       
       // Phrase patterns
-      aiPhraseMatches: this.matchAIPhrases(text),
+      aiPhraseMatches: this.matchAIPhrases(text, profile),
       
       // Punctuation analysis
       emDashCount: (text.match(/—/g) || []).length,
@@ -125,301 +882,438 @@ class AIDetector {
       hasBulletPoints: /[•·▪▫]/.test(text),
       hasNumberedList: /^\d+[\.\)]\s/m.test(text),
       paragraphCount: paragraphs.length,
-      isLongThread: totalWords > 100 && paragraphs.length > 2,
+      isLongThread: totalWords >= structure.longThreadMinWords && paragraphs.length >= structure.longThreadMinParagraphs,
+      hasThreadStarter: this.containsAny(text, structure.threadStarters),
+      hasFormalConclusion: this.containsAny(text, structure.formalConclusions),
       
       // Formal patterns
-      hasCitations: /\b(Act of \d{4}|Article \d+|Section \d+|\d{4}\s+[A-Z][a-z]+\s+[A-Z][a-z]+)\b/.test(text),
-      hasLegalJargon: this.hasLegalJargon(text),
-      hasMixedFormalEmoji: this.hasMixedFormalEmoji(text),
-      hasMultipleSources: this.hasMultipleSources(text),
-      hasBalancedCommentary: this.hasBalancedCommentary(text),
-      hasConversationalHook: this.hasConversationalHook(text),
+      hasCitations: this.matchesAnyPattern(text, profile.matchers.citations),
+      hasLegalJargon: this.hasLegalJargon(text, profile),
+      hasMixedFormalEmoji: this.hasMixedFormalEmoji(text, profile),
+      hasMultipleSources: this.hasMultipleSources(text, profile),
+      hasBalancedCommentary: this.hasBalancedCommentary(text, profile),
+      hasConversationalHook: this.hasConversationalHook(text, profile),
       
       // Spam indicators
-      hashtagCount: (text.match(/#\w+/g) || []).length,
+      hashtagCount: (text.match(/#[\p{L}\p{N}_]+/gu) || []).length,
       mentionCount: (text.match(/@\w+/g) || []).length,
       allCapsWords: (text.match(/\b[A-Z]{3,}\b/g) || []).length,
       emojiCount: this.countEmojis(text),
       hasExcessiveEmojis: this.hasExcessiveEmojis(text),
       
       // Generic responses
-      hasGenericResponse: this.hasGenericResponse(text),
+      hasGenericResponse: this.hasGenericResponse(text, profile),
       
       // Bot/spam detection
       hasCryptoSpam: this.hasCryptoSpam(text),
-      hasAdultContentPromo: this.hasAdultContentPromo(text),
-      hasPromotionalContent: this.hasPromotionalContent(text),
+      hasAdultContentPromo: this.hasAdultContentPromo(text, profile),
+      hasPromotionalContent: this.hasPromotionalContent(text, profile),
       linkCount: (text.match(/https?:\/\/\S+/g) || []).length,
       hasSuspiciousLinks: this.hasSuspiciousLinks(text),
       
+      // Link card, checked on its own (null without one)
+      card: this.analyzeCard(metadata.cardText),
+      
       // Stylometric features
       avgSentenceLength: this.getAvgSentenceLength(text),
       vocabularyDiversity: this.getVocabularyDiversity(text),
-      formalityScore: this.getFormalityScore(text),
+      formalityScore: this.getFormalityScore(text, profile),
       
       // Metadata
-      isNewAccount: metadata.accountAge ? metadata.accountAge < 90 : false,
+      isNewAccount: metadata.accountAge ? metadata.accountAge < this.patterns.accountPatterns.newAccountThreshold : false,
       hasSuspiciousName: metadata.username ? this.isSuspiciousUsername(metadata.username) : false,
       hasAffiliateBadge: metadata.hasAffiliateBadge || false,
       hasEmojiUsername: metadata.displayName ? this.hasEmojiInUsername(metadata.displayName) : false,
       
+      // Posting cadence of the author this session (null until enough tweets were seen)
+      cadence: this.getPostingCadence(metadata.username, metadata.timestamp, record),
+      
       // Content quality
-      isVeryShortTweet: totalWords <= 3 && text.length < 30,
-      isShallowComment: this.isShallowComment(text),
+      isVeryShortTweet: totalWords <= lowEffort.veryShortMaxWords && text.length < lowEffort.veryShortMaxChars,
+      isShallowComment: this.isShallowComment(text, profile),
+      
+      // Reply context: comparison with the tweet being replied to (null without one)
+      replyContext: this.compareWithParent(text, metadata.replyContext, profile),
       
       // Duplicate detection
-      isDuplicateContent: this.checkDuplicateContent(text, metadata.username)
+      duplicateMatches: record ? this.findDuplicates(text, metadata.username) : []
     };
+    features.isDuplicateContent = features.duplicateMatches.length > 0;
 
     // Add current tweet to cache
-    this.addToCache(text, metadata.username);
+    if (record) {
+      this.addToCache(text, metadata.username);
+    }
 
     return features;
   }
 
   /**
-   * Calculate AI score based on weighted features
+   * Turn extracted features into scoring signals using the pattern file thresholds
+   * @returns {Object[]} - Triggered signals as { name, value, reason }, value in 0-1
    */
-  calculateAIScore(features) {
-    let score = 0;
-    const reasons = [];
-    const weights = {
-      aiWord: 0.25,
-      aiPhrase: 0.30,
-      punctuation: 0.15,
-      structure: 0.12,
-      spam: 0.15,
-      botSpam: 0.35,
-      stylometric: 0.18,
-      metadata: 0.10
+  computeSignals(features) {
+    const {
+      punctuationPatterns: punct,
+      spamIndicators: spam,
+      stylometricFeatures: style,
+      replyContext: replyLimits,
+      postingCadence: cadenceLimits,
+      scoring
+    } = this.patterns;
+    const signals = [];
+    const add = (name, active, reason = null, value = 1) => {
+      if (active) signals.push({ name, value, reason });
     };
 
     // AI word detection
     const aiWordRatio = features.aiWordCount / Math.max(features.totalWords, 1);
-    if (aiWordRatio > 0.01) { // More than 1% AI words (much more aggressive)
-      const aiWordScore = Math.min(aiWordRatio * 25, 1);
-      score += aiWordScore * weights.aiWord;
-      if (aiWordRatio > 0.02) {
-        reasons.push(`High AI vocabulary usage (${(aiWordRatio * 100).toFixed(1)}%)`);
-      }
-    }
+    add('aiWords', aiWordRatio > scoring.aiWordRatio.min,
+      aiWordRatio > scoring.aiWordRatio.reason ? `High AI vocabulary usage (${(aiWordRatio * 100).toFixed(1)}%)` : null,
+      Math.min(aiWordRatio * scoring.aiWordRatio.scale, 1));
 
     // AI phrase patterns
-    if (features.aiPhraseMatches.length > 0) {
-      const phraseScore = Math.min(features.aiPhraseMatches.length * 0.6, 1);
-      score += phraseScore * weights.aiPhrase;
-      reasons.push(`AI phrase patterns detected: ${features.aiPhraseMatches.slice(0, 2).join(', ')}`);
-    }
+    add('aiPhrases', features.aiPhraseMatches.length > 0,
+      `AI phrase patterns detected: ${features.aiPhraseMatches.slice(0, 2).join(', ')}`,
+      Math.min(features.aiPhraseMatches.length * scoring.aiPhraseMatchScore, 1));
 
     // Punctuation patterns
-    let punctScore = 0;
-    if (features.emDashCount >= 1) {
-      punctScore += 0.5;
-      reasons.push(`Excessive em-dashes (${features.emDashCount})`);
-    }
-    if (features.colonCount >= 2) {
-      punctScore += 0.4;
-    }
-    if (features.semicolonCount >= 1) {
-      punctScore += 0.4;
-    }
-    if (features.quotationCount >= 3) {
-      punctScore += 0.3;
-      reasons.push('Excessive quotation marks');
-    }
-    score += Math.min(punctScore, 1) * weights.punctuation;
+    add('emDashes', features.emDashCount >= punct.excessiveEmDashes, `Excessive em-dashes (${features.emDashCount})`);
+    add('colons', features.colonCount >= punct.excessiveColons, `Many colons (${features.colonCount})`);
+    add('semicolons', features.semicolonCount >= punct.excessiveSemicolons, `Many semicolons (${features.semicolonCount})`);
+    add('quotations', features.quotationCount >= punct.excessiveQuotations, 'Excessive quotation marks');
 
     // Structure
-    let structScore = 0;
-    if (features.hasBulletPoints) {
-      structScore += 0.5;
-      reasons.push('Bullet points in tweet');
-    }
-    if (features.hasNumberedList) {
-      structScore += 0.5;
-      reasons.push('Numbered list format');
-    }
-    if (features.isLongThread) {
-      structScore += 0.6;
-      reasons.push('Long multi-paragraph thread format');
-    }
-    if (features.hasCitations) {
-      structScore += 0.7;
-      reasons.push('Contains legal citations');
-    }
-    if (features.hasLegalJargon) {
-      structScore += 0.6;
-      reasons.push('Heavy legal/formal jargon');
-    }
-    if (features.hasMixedFormalEmoji) {
-      structScore += 0.7;
-      reasons.push('Formal text with emoji ending (bot pattern)');
-    }
-    if (features.hasMultipleSources) {
-      structScore += 0.8;
-      reasons.push('Multiple source citations (AI pattern)');
-    }
-    if (features.hasBalancedCommentary) {
-      structScore += 0.7;
-      reasons.push('Artificial both-sides balanced commentary');
-    }
-    if (features.hasConversationalHook) {
-      structScore += 0.6;
-      reasons.push('Question hook asking for engagement');
-    }
-    score += Math.min(structScore, 1) * weights.structure;
+    add('bulletPoints', punct.bulletPointsInTweet && features.hasBulletPoints, 'Bullet points in tweet');
+    add('numberedList', punct.numberedListsInTweet && features.hasNumberedList, 'Numbered list format');
+    add('longThread', features.isLongThread, 'Long multi-paragraph thread format');
+    add('threadStarter', features.hasThreadStarter, 'Formulaic thread opener');
+    add('formalConclusion', features.hasFormalConclusion, 'Formal essay-style conclusion');
+    add('citations', features.hasCitations, 'Contains legal citations');
+    add('legalJargon', features.hasLegalJargon, 'Heavy legal/formal jargon');
+    add('mixedFormalEmoji', features.hasMixedFormalEmoji, 'Formal text with emoji ending (bot pattern)');
+    add('multipleSources', features.hasMultipleSources, 'Multiple source citations (AI pattern)');
+    add('balancedCommentary', features.hasBalancedCommentary, 'Artificial both-sides balanced commentary');
+    add('conversationalHook', features.hasConversationalHook, 'Question hook asking for engagement');
 
     // Spam indicators
-    let spamScore = 0;
-    if (features.hashtagCount > 3) {
-      spamScore += 0.5;
-      reasons.push(`Excessive hashtags (${features.hashtagCount})`);
-    }
-    if (features.mentionCount > 2) {
-      spamScore += 0.5;
-      reasons.push(`Excessive mentions (${features.mentionCount})`);
-    }
-    if (features.hasExcessiveEmojis) {
-      spamScore += 0.6;
-      reasons.push(`Excessive emojis detected (${features.emojiCount} emojis)`);
-    }
-    if (features.hasGenericResponse) {
-      spamScore += 0.6;
-      reasons.push('Generic/bot-like response');
-    }
-    score += Math.min(spamScore, 1) * weights.spam;
+    add('hashtags', features.hashtagCount >= spam.excessiveHashtags, `Excessive hashtags (${features.hashtagCount})`);
+    add('mentions', features.mentionCount >= spam.excessiveMentions, `Excessive mentions (${features.mentionCount})`);
+    add('allCaps', features.allCapsWords >= spam.allCapsWords, `Excessive all-caps words (${features.allCapsWords})`);
+    add('excessiveEmojis', features.hasExcessiveEmojis, `Excessive emojis detected (${features.emojiCount} emojis)`);
+    add('genericResponse', features.hasGenericResponse, 'Generic/bot-like response');
 
     // Bot/Spam detection (crypto, adult, promotional)
-    let botSpamScore = 0;
-    if (features.hasCryptoSpam) {
-      botSpamScore += 0.6;
-      reasons.push('Crypto/financial spam detected');
-    }
-    if (features.hasAdultContentPromo) {
-      botSpamScore += 0.7;
-      reasons.push('Adult content promotion detected');
-    }
-    if (features.hasPromotionalContent) {
-      botSpamScore += 0.5;
-      reasons.push('Promotional/engagement bait');
-    }
-    if (features.linkCount >= 2) {
-      botSpamScore += 0.3;
-      reasons.push(`Multiple links (${features.linkCount})`);
-    }
-    if (features.hasSuspiciousLinks) {
-      botSpamScore += 0.4;
-      reasons.push('Suspicious link patterns');
-    }
-    score += Math.min(botSpamScore, 1) * weights.botSpam;
+    add('cryptoSpam', features.hasCryptoSpam, 'Crypto/financial spam detected');
+    add('adultPromo', features.hasAdultContentPromo, 'Adult content promotion detected');
+    add('promotional', features.hasPromotionalContent, 'Promotional/engagement bait');
+    add('multipleLinks', features.linkCount >= spam.multipleLinks, `Multiple links (${features.linkCount})`);
+    add('suspiciousLinks', features.hasSuspiciousLinks, 'Suspicious link patterns');
+    const card = features.card;
+    add('spamCard', card && card.kinds.length > 0, card && `Link card promotes ${card.kinds.join('/')} content`);
 
-    // Stylometric analysis
-    let styleScore = 0;
-    
-    // Vocabulary diversity (AI can be less diverse or overly diverse)
-    if (features.vocabularyDiversity < 0.75) {
-      styleScore += 0.5;
-      reasons.push('Low vocabulary diversity');
-    }
-    
-    // Formality (AI tends to be more formal)
-    if (features.formalityScore > 0.5) {
-      styleScore += 0.5;
-      reasons.push('High formality score');
-    }
-    
-    score += Math.min(styleScore, 1) * weights.stylometric;
+    // Stylometric analysis: flag values closer to the AI target than the human one
+    add('lowDiversity', this.closerToAI(features.vocabularyDiversity, style.vocabularyDiversity), 'Low vocabulary diversity');
+    add('highFormality', this.closerToAI(features.formalityScore, style.formalityScore), 'High formality score');
+    add('longSentences', this.closerToAI(features.avgSentenceLength, style.averageSentenceLength),
+      `Long average sentence length (${features.avgSentenceLength.toFixed(1)} words)`);
 
     // Metadata analysis
-    let metaScore = 0;
-    if (features.isNewAccount) {
-      metaScore += 0.4;
-      reasons.push('New account');
-    }
-    if (features.hasSuspiciousName) {
-      metaScore += 0.6;
-      reasons.push('Suspicious username pattern');
-    }
-    if (features.hasAffiliateBadge) {
-      metaScore += 0.7;
-      reasons.push('Account has affiliate badge');
-    }
-    if (features.hasEmojiUsername) {
-      metaScore += 0.5;
-      reasons.push('Emoji-heavy username');
+    add('newAccount', features.isNewAccount, 'New account');
+    add('suspiciousName', features.hasSuspiciousName, 'Suspicious username pattern');
+    add('affiliateBadge', features.hasAffiliateBadge, 'Account has affiliate badge');
+    add('emojiUsername', features.hasEmojiUsername, 'Emoji-heavy username');
+
+    // Posting cadence: clockwork intervals, bursts, no quiet hours
+    const cadence = features.cadence;
+    if (cadence) {
+      add('regularInterval', cadence.gapVariation <= cadenceLimits.regularMaxVariation,
+        `Posts at regular intervals (about every ${this.formatMinutes(cadence.medianGapMinutes)} over ${cadence.tweets} tweets)`);
+      add('burstPosting', cadence.burstShare >= cadenceLimits.burstMinShare,
+        `Burst posting (${Math.round(cadence.burstShare * 100)}% of tweets within ${cadenceLimits.burstMinutes} min of the one before)`);
+      add('roundTheClock',
+        cadence.spanHours >= cadenceLimits.roundTheClockMinSpanHours && cadence.activeHours >= cadenceLimits.roundTheClockMinHours,
+        `Active around the clock (posted in ${cadence.activeHours} of 24 hours)`);
     }
-    score += Math.min(metaScore, 1) * weights.metadata;
-    
+
     // Low-effort content detection
-    if (features.isVeryShortTweet) {
-      score += 0.6;
-      reasons.push('Very short low-effort tweet');
+    add('veryShort', features.isVeryShortTweet, 'Very short low-effort tweet');
+    add('shallowComment', features.isShallowComment, 'Shallow engagement-bait comment');
+
+    // Duplicate content detection
+    add('duplicateContent', features.isDuplicateContent,
+      `Duplicate/copied content detected (also posted by ${features.duplicateMatches.map(match => `@${match.author}`).join(', ')})`);
+
+    // Reply context: polished restatements of the parent tweet ending in a question
+    const reply = features.replyContext;
+    if (reply) {
+      add('paraphrasesParent', reply.overlap >= replyLimits.minParaphraseOverlap && reply.overlap < replyLimits.verbatimOverlap,
+        `Restates @${reply.parentAuthor || 'parent'}'s tweet (${Math.round(reply.overlap * 100)}% word overlap)`);
+      add('restatesKeywords', reply.restatedKeywords.length >= replyLimits.minRestatedKeywords,
+        `Repeats the parent tweet's keywords (${reply.restatedKeywords.slice(0, 3).join(', ')})`);
+      add('replyHook', reply.endsWithQuestion && features.totalWords >= replyLimits.hookMinWords,
+        'Reply ends by asking the parent author a question');
     }
-    if (features.isShallowComment) {
-      score += 0.7;
-      reasons.push('Shallow engagement-bait comment');
+
+    return signals;
+  }
+
+  /**
+   * Check whether a value sits on the AI side of the midpoint between two targets
+   */
+  closerToAI(value, target) {
+    if (!value) return false;
+    return Math.abs(value - target.ai) < Math.abs(value - target.human);
+  }
+
+  /**
+   * Calculate a calibrated probability per category
+   * Each category is a logistic regression head over the signal vector:
+   * p = sigmoid(bias + sum(weight * signal value)), with weights from ai-model.json
+   * shifted by the user's feedback (see getWeight).
+   * The overall confidence is the chosen category's probability.
+   */
+  calculateAIScore(features) {
+    const signals = this.computeSignals(features);
+    const categories = {};
+
+    for (const category of AIDetector.CATEGORIES) {
+      const z = signals.reduce((sum, signal) => {
+        return sum + this.getWeight(category, signal.name) * signal.value;
+      }, this.model.heads[category].bias);
+      categories[category] = this.sigmoid(z);
     }
 
-    // Duplicate content detection
-    if (features.isDuplicateContent) {
-      score += 0.8; // Very strong indicator of bot behavior
-      reasons.push('Duplicate/copied content detected');
+    // Pick the strongest label; ties keep the CATEGORIES order. A likely copy is
+    // labeled duplicate whatever wrote it, the same rule the training corpus uses,
+    // since the llm head still (rightly) scores copied LLM text as LLM text
+    const category = categories.duplicate > 0.5
+      ? 'duplicate'
+      : AIDetector.CATEGORIES.reduce((best, current) => {
+        return categories[current] > categories[best] ? current : best;
+      });
+
+    const breakdown = this.buildBreakdown(category, signals);
+
+    // Reasons are the signals that pushed the winning category up, biggest first
+    const reasons = breakdown.signals
+      .filter(entry => entry.contribution > 0 && entry.reason)
+      .map(entry => entry.reason);
+
+    return {
+      confidence: categories[category],
+      category,
+      categories,
+      reasons: reasons.slice(0, 5), // Top 5 reasons
+      breakdown
+    };
+  }
+
+  /**
+   * Explain a category's score signal by signal
+   * @returns {Object} - { category, bias, logit, probability, signals, groups }
+   *   signals: [{ name, group, value, weight, contribution, reason }] ranked by |contribution|
+   *   groups: [{ group, contribution }] per weight group, ranked the same way
+   */
+  buildBreakdown(category, signals) {
+    const head = this.model.heads[category];
+    const signalConfig = this.patterns.scoring.signals;
+    const byImpact = (a, b) => Math.abs(b.contribution) - Math.abs(a.contribution);
+
+    const entries = signals
+      .map(signal => {
+        const weight = this.getWeight(category, signal.name);
+        return {
+          name: signal.name,
+          group: signalConfig[signal.name] ? signalConfig[signal.name].group : 'other',
+          value: signal.value,
+          weight,
+          contribution: weight * signal.value,
+          reason: signal.reason
+        };
+      })
+      .filter(entry => entry.contribution !== 0)
+      .sort(byImpact);
+
+    const groupTotals = {};
+    for (const entry of entries) {
+      groupTotals[entry.group] = (groupTotals[entry.group] || 0) + entry.contribution;
     }
+    const groups = Object.entries(groupTotals)
+      .map(([group, contribution]) => ({ group, contribution }))
+      .sort(byImpact);
+
+    const logit = entries.reduce((sum, entry) => sum + entry.contribution, head.bias);
 
     return {
-      confidence: Math.min(score, 1),
-      reasons: reasons.slice(0, 5) // Top 5 reasons
+      category,
+      bias: head.bias,
+      logit,
+      probability: this.sigmoid(logit),
+      signals: entries,
+      groups
     };
   }
 
   /**
-   * Count AI indicator words in text
+   * Build the full signal vector (every configured signal, 0 when inactive)
+   * Used by the offline training script.
    */
-  countAIWords(text) {
-    const lowerText = text.toLowerCase();
-    let count = 0;
-    
-    if (this.patterns && this.patterns.aiIndicatorWords) {
-      for (const word of this.patterns.aiIndicatorWords) {
-        const regex = new RegExp(`\\b${word.toLowerCase()}\\b`, 'gi');
-        const matches = lowerText.match(regex);
-        if (matches) {
-          count += matches.length;
+  getSignalVector(features) {
+    const vector = Object.fromEntries(Object.keys(this.patterns.scoring.signals).map(name => [name, 0]));
+    for (const signal of this.computeSignals(features)) {
+      if (signal.name in vector) {
+        vector[signal.name] = signal.value;
+      }
+    }
+    return vector;
+  }
+
+  sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  /**
+   * A signal's weight in a category head, including the feedback shift
+   */
+  getWeight(category, name) {
+    const shift = this.getFeedback().weightShifts[category][name] || 0;
+    return this.getModelWeight(category, name) + shift;
+  }
+
+  /**
+   * A signal's model weight, scaled by its weightScale from the pattern overrides
+   */
+  getModelWeight(category, name) {
+    const signal = this.patterns.scoring.signals[name];
+    const scale = signal && signal.weightScale !== undefined ? signal.weightScale : 1;
+    return (this.model.heads[category].weights[name] || 0) * scale;
+  }
+
+  /**
+   * Use the user's corrections in scoring
+   * @param {Object[]} labels - [{ label, category, text, signals, ... }], label is 'ai' or 'human',
+   *   category the head that scored the tweet, signals its getSignalVector() (null if unavailable)
+   */
+  setFeedback(labels = []) {
+    this.feedbackLabels = Array.isArray(labels) ? labels : [];
+    this.feedback = null;
+  }
+
+  /**
+   * Weight shifts and suppressed texts from the feedback labels, built on first use
+   * @returns {Object} - { weightShifts: { category: { signal: shift } }, suppressedTexts: Set of normalized texts }
+   */
+  getFeedback() {
+    if (!this.feedback) {
+      this.feedback = {
+        weightShifts: this.trainFeedback(this.feedbackLabels),
+        suppressedTexts: new Set(this.feedbackLabels
+          .filter(label => label.label === 'human' && label.text)
+          .map(label => this.normalizeText(label.text)))
+      };
+    }
+    return this.feedback;
+  }
+
+  /**
+   * Fit per-signal weight shifts to the labels by gradient descent on each
+   * label's own head, starting from the (scaled) model weights. Only signals that
+   * fired for a labeled tweet move, and no shift exceeds feedback.maxWeightShift.
+   * @returns {Object} - Category -> { signal: shift }
+   */
+  trainFeedback(labels) {
+    const { learningRate, epochs, maxWeightShift } = this.patterns.feedback;
+    const shifts = Object.fromEntries(AIDetector.CATEGORIES.map(category => [category, {}]));
+    const examples = labels.filter(label => label.signals && shifts[label.category]);
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      for (const { label, category, signals } of examples) {
+        const categoryShifts = shifts[category];
+        const active = Object.entries(signals).filter(([, value]) => Number.isFinite(value) && value !== 0);
+
+        const z = active.reduce((sum, [name, value]) => {
+          return sum + (this.getModelWeight(category, name) + (categoryShifts[name] || 0)) * value;
+        }, this.model.heads[category].bias);
+        const error = (label === 'ai' ? 1 : 0) - this.sigmoid(z);
+
+        for (const [name, value] of active) {
+          const shift = (categoryShifts[name] || 0) + learningRate * error * value;
+          categoryShifts[name] = Math.max(-maxWeightShift, Math.min(maxWeightShift, shift));
         }
       }
     }
+
+    return shifts;
+  }
+
+  /**
+   * Check whether text contains any of the given phrases (case-insensitive)
+   */
+  containsAny(text, phrases) {
+    const lowerText = text.toLowerCase();
+    return phrases.some(phrase => lowerText.includes(phrase.toLowerCase()));
+  }
+
+  /**
+   * Count how many of the given phrases appear in text (case-insensitive)
+   */
+  countPhrases(text, phrases) {
+    const lowerText = text.toLowerCase();
+    return phrases.filter(phrase => lowerText.includes(phrase.toLowerCase())).length;
+  }
+
+  /**
+   * Check whether text matches any compiled pattern from this.matchers
+   */
+  matchesAnyPattern(text, compiled) {
+    return compiled.some(({ regex }) => regex.test(text));
+  }
+
+  /**
+   * Count AI indicator words in text
+   * @param {Object} profile - Language profile from getLanguageProfile (defaults to the base language)
+   */
+  countAIWords(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    if (!profile.matchers.aiWords) return 0;
     
-    return count;
+    const matches = text.match(profile.matchers.aiWords);
+    return matches ? matches.length : 0;
   }
 
   /**
    * Count total words in text
    */
   countWords(text) {
-    return text.split(/\s+/).filter(word => word.length > 0).length;
+    return this.splitWords(text).length;
   }
 
   /**
-   * Match AI phrase patterns
+   * Split text into words. Scripts written without spaces (Chinese, Japanese,
+   * Thai...) go through Intl.Segmenter where available, otherwise a whole
+   * Japanese sentence would count as one word.
    */
-  matchAIPhrases(text) {
-    const matches = [];
-    const lowerText = text.toLowerCase();
-    
-    if (this.patterns && this.patterns.aiPhrasePatterns) {
-      for (const pattern of this.patterns.aiPhrasePatterns) {
-        try {
-          const regex = new RegExp(pattern, 'i');
-          if (regex.test(lowerText)) {
-            matches.push(pattern);
-          }
-        } catch (e) {
-          // Invalid regex, skip
-        }
+  splitWords(text) {
+    if (AIDetector.UNSPACED_SCRIPTS.test(text) && typeof Intl !== 'undefined' && Intl.Segmenter) {
+      if (!this.wordSegmenter) {
+        this.wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
       }
+      return [...this.wordSegmenter.segment(text)]
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
     }
     
-    return matches;
+    return text.split(/\s+/).filter(word => word.length > 0);
+  }
+
+  /**
+   * Match AI phrase patterns
+   */
+  matchAIPhrases(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    const lowerText = text.toLowerCase();
+    return profile.matchers.aiPhrases
+      .filter(({ regex }) => regex.test(lowerText))
+      .map(({ source }) => source);
   }
 
   /**
@@ -436,19 +1330,20 @@ class AIDetector {
    * Check for excessive emojis or emoji spam patterns
    */
   hasExcessiveEmojis(text) {
+    const spam = this.patterns.spamIndicators;
     const emojiCount = this.countEmojis(text);
     const totalChars = text.length;
     const words = this.countWords(text);
     
     // Check for various emoji spam patterns:
-    // 1. More than 3 emojis total in a short tweet
-    if (emojiCount > 3 && words < 20) {
+    // 1. Many emojis total in a short tweet
+    if (emojiCount >= spam.excessiveEmojis && words < spam.excessiveEmojisMaxWords) {
       return true;
     }
     
-    // 2. Emoji density is high (more than 10% of characters)
+    // 2. Emoji density is high (share of characters)
     const emojiDensity = emojiCount / Math.max(totalChars, 1);
-    if (emojiDensity > 0.1 && emojiCount >= 3) {
+    if (emojiDensity > spam.emojiDensity && emojiCount >= 3) {
       return true;
     }
     
@@ -471,8 +1366,8 @@ class AIDetector {
       return true;
     }
     
-    // 5. Repeated emojis (same emoji 2+ times in a row)
-    const repeatedEmojis = /([\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]|[\u{1F000}-\u{1F02F}]|[\u{1F0A0}-\u{1F0FF}]|[\u{1F100}-\u{1F64F}]|[\u{1F680}-\u{1F6FF}])\1+/u.test(text);
+    // 5. Repeated emojis (same emoji several times in a row)
+    const repeatedEmojis = this.matchers.repeatedEmojis.test(text);
     if (repeatedEmojis) {
       return true;
     }
@@ -483,14 +1378,9 @@ class AIDetector {
   /**
    * Check for generic responses
    */
-  hasGenericResponse(text) {
+  hasGenericResponse(text, profile = this.getLanguageProfile(this.patterns.language)) {
     const lowerText = text.toLowerCase().trim();
-    
-    if (!this.patterns || !this.patterns.spamIndicators || !this.patterns.spamIndicators.genericResponses) {
-      return false;
-    }
-    
-    const genericResponses = this.patterns.spamIndicators.genericResponses || [];
+    const genericResponses = profile.patterns.spamIndicators.genericResponses;
     
     // Check if the text matches any generic response (exact or contains)
     return genericResponses.some(response => {
@@ -522,18 +1412,35 @@ class AIDetector {
       }
     }
     
-    // 2+ crypto keywords = likely spam
-    return matchCount >= 2;
+    // Several crypto keywords = likely spam
+    return matchCount >= this.patterns.spamIndicators.minCryptoKeywords;
+  }
+
+  /**
+   * Check a link card's text for spam, using the word lists of its own language
+   * @param {string} [cardText] - Card title and description
+   * @returns {Object|null} - { language, kinds }, kinds lists the spam types found
+   */
+  analyzeCard(cardText) {
+    const text = (cardText || '').trim();
+    if (!text) return null;
+    
+    const language = this.detectLanguage(text);
+    const profile = this.getLanguageProfile(language);
+    const kinds = [];
+    if (this.hasCryptoSpam(text)) kinds.push('crypto');
+    if (this.hasAdultContentPromo(text, profile)) kinds.push('adult');
+    if (this.hasPromotionalContent(text, profile)) kinds.push('promotional');
+    
+    return { language, kinds };
   }
 
   /**
    * Check for adult content promotion
    */
-  hasAdultContentPromo(text) {
+  hasAdultContentPromo(text, profile = this.getLanguageProfile(this.patterns.language)) {
     const lowerText = text.toLowerCase();
-    if (!this.patterns || !this.patterns.spamIndicators) return false;
-    
-    const adultKeywords = this.patterns.spamIndicators.adultContentKeywords || [];
+    const adultKeywords = profile.patterns.spamIndicators.adultContentKeywords;
     
     return adultKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
   }
@@ -541,11 +1448,9 @@ class AIDetector {
   /**
    * Check for promotional/engagement bait content
    */
-  hasPromotionalContent(text) {
+  hasPromotionalContent(text, profile = this.getLanguageProfile(this.patterns.language)) {
     const lowerText = text.toLowerCase();
-    if (!this.patterns || !this.patterns.spamIndicators) return false;
-    
-    const promoPhrases = this.patterns.spamIndicators.promotionalPhrases || [];
+    const promoPhrases = profile.patterns.spamIndicators.promotionalPhrases;
     let matchCount = 0;
     
     for (const phrase of promoPhrases) {
@@ -554,42 +1459,27 @@ class AIDetector {
       }
     }
     
-    // 2+ promotional phrases = likely spam
-    return matchCount >= 2;
+    // Several promotional phrases = likely spam
+    return matchCount >= this.patterns.spamIndicators.minPromotionalPhrases;
   }
 
   /**
    * Check for suspicious link patterns
    */
   hasSuspiciousLinks(text) {
-    if (!this.patterns || !this.patterns.spamIndicators) return false;
-    
-    const suspiciousPatterns = this.patterns.spamIndicators.suspiciousLinkPatterns || [];
+    if (!this.matchers) return false;
     
-    for (const pattern of suspiciousPatterns) {
-      try {
-        const regex = new RegExp(pattern, 'i');
-        if (regex.test(text)) {
-          return true;
-        }
-      } catch (e) {
-        // Invalid regex, skip
-      }
-    }
-    
-    return false;
+    return this.matchesAnyPattern(text, this.matchers.suspiciousLinks);
   }
 
   /**
    * Calculate average sentence length
    */
   getAvgSentenceLength(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    const sentences = text.split(/[.!?。！？]+/).filter(s => s.trim().length > 0);
     if (sentences.length === 0) return 0;
     
-    const totalWords = sentences.reduce((sum, sentence) => {
-      return sum + sentence.split(/\s+/).filter(w => w.length > 0).length;
-    }, 0);
+    const totalWords = sentences.reduce((sum, sentence) => sum + this.countWords(sentence), 0);
     
     return totalWords / sentences.length;
   }
@@ -598,7 +1488,7 @@ class AIDetector {
    * Calculate vocabulary diversity (unique words / total words)
    */
   getVocabularyDiversity(text) {
-    const words = text.toLowerCase().split(/\s+/).filter(w => w.length > 0);
+    const words = this.splitWords(text.toLowerCase());
     if (words.length === 0) return 0;
     
     const uniqueWords = new Set(words);
@@ -608,27 +1498,14 @@ class AIDetector {
   /**
    * Calculate formality score based on various indicators
    */
-  getFormalityScore(text) {
+  getFormalityScore(text, profile = this.getLanguageProfile(this.patterns.language)) {
     let formalityScore = 0;
-    const lowerText = text.toLowerCase();
+    const style = profile.patterns.stylometricFeatures;
     
-    // Formal words increase score
-    const formalWords = ['therefore', 'furthermore', 'moreover', 'consequently', 'thus', 'hence'];
-    formalWords.forEach(word => {
-      if (lowerText.includes(word)) formalityScore += 0.15;
-    });
-    
-    // Contractions decrease score
-    const contractions = ['don\'t', 'can\'t', 'won\'t', 'shouldn\'t', 'wouldn\'t'];
-    contractions.forEach(word => {
-      if (lowerText.includes(word)) formalityScore -= 0.1;
-    });
-    
-    // Slang decreases score
-    const slang = ['lol', 'lmao', 'bruh', 'ngl', 'fr', 'tbh'];
-    slang.forEach(word => {
-      if (lowerText.includes(word)) formalityScore -= 0.15;
-    });
+    // Formal words increase score, contractions and slang decrease it
+    formalityScore += this.countPhrases(text, style.formalWords) * style.formalWordWeight;
+    formalityScore += this.countPhrases(text, style.contractions) * style.contractionWeight;
+    formalityScore += this.countPhrases(text, style.slang) * style.slangWeight;
     
     return Math.max(0, Math.min(1, 0.5 + formalityScore));
   }
@@ -637,15 +1514,7 @@ class AIDetector {
    * Check if username matches suspicious patterns
    */
   isSuspiciousUsername(username) {
-    const suspiciousPatterns = [
-      /^[A-Z][a-z]+\d{4,}$/,  // e.g., John12345
-      /^[A-Z][a-z]+_[A-Z][a-z]+\d+$/,  // e.g., John_Smith123
-      /^\w+\d{8,}$/,  // Long number suffix
-      /^\w+\d{1,2}$/,  // Short random number at end like "hib77"
-      /^[a-z]+\d{1,3}$/  // Lowercase with few numbers
-    ];
-    
-    return suspiciousPatterns.some(pattern => pattern.test(username));
+    return this.matchesAnyPattern(username, this.matchers.suspiciousNames);
   }
 
   /**
@@ -660,9 +1529,10 @@ class AIDetector {
   /**
    * Check if tweet is a shallow, low-effort comment
    */
-  isShallowComment(text) {
+  isShallowComment(text, profile = this.getLanguageProfile(this.patterns.language)) {
     const normalized = text.toLowerCase().trim();
     const words = this.countWords(text);
+    const lowEffort = this.patterns.lowEffortPatterns;
     
     // Emoji-only tweets (common bot behavior)
     const emojiPattern = /[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu;
@@ -672,26 +1542,14 @@ class AIDetector {
     }
     
     // Single word responses
-    if (words === 1 && normalized.length < 15) {
+    if (words === 1 && normalized.length < lowEffort.singleWordMaxChars) {
       return true;
     }
     
-    // Very short tweets (under 4 words and under 30 chars)
-    if (words <= 4 && text.length < 30) {
+    // Very short tweets
+    if (words <= lowEffort.shallowMaxWords && text.length < lowEffort.shallowMaxChars) {
       // Check if it's just generic phrases
-      const shallowPatterns = [
-        /^(wow|amazing|nice|cool|great|good|beautiful|awesome|incredible|perfect|lovely|stunning)[\s!.]*$/i,
-        /^(love|need|want|like)\s+(this|it|that|the\s+\w+)[\s!.]*$/i,
-        /^oh\s+my\s+(god|gosh)[\s!.]*$/i,
-        /^(so\s+)?(true|real|facts)[\s!.]*$/i,
-        /^(yes|yeah|yep|nope|no|exactly)[\s!.]*$/i,
-        /^the\s+best[\s!.]*$/i,
-        /^bravo[\s!.]*$/i,
-        /^(cool|good|nice)\s+(for|tactic|idea|dude|point)[\s!.]*$/i,
-        /^(real|playa)\s+\w+[\s!.]*$/i
-      ];
-      
-      return shallowPatterns.some(pattern => pattern.test(normalized));
+      return this.matchesAnyPattern(normalized, profile.matchers.shallowPatterns);
     }
     
     return false;
@@ -700,186 +1558,170 @@ class AIDetector {
   /**
    * Check if text contains legal jargon (AI-generated political commentary indicator)
    */
-  hasLegalJargon(text) {
-    const legalTerms = [
-      'jurisdiction', 'federal law', 'diplomatic immunity', 'statute',
-      'enforcement', 'pursuant to', 'hereby', 'thereof', 'whereby',
-      'act of', 'article', 'section', 'clause', 'protocol',
-      'authorities', 'warrants', 'illegal order', 'federal authorities'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    let count = 0;
+  hasLegalJargon(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    const structure = profile.patterns.structuralPatterns;
     
-    for (const term of legalTerms) {
-      if (lowerText.includes(term)) {
-        count++;
-      }
-    }
-    
-    // If 3+ legal terms appear, it's likely AI-generated formal commentary
-    return count >= 3;
+    // Several legal terms in one tweet = likely AI-generated formal commentary
+    return this.countPhrases(text, structure.legalTerms) >= structure.minLegalTerms;
   }
 
   /**
    * Check for mixed formal/emoji pattern (formal text ending with emojis)
    */
-  hasMixedFormalEmoji(text) {
+  hasMixedFormalEmoji(text, profile = this.getLanguageProfile(this.patterns.language)) {
     const words = this.countWords(text);
+    const structure = profile.patterns.structuralPatterns;
     
-    // Must be longer than 50 words
-    if (words < 50) return false;
+    // Must be a long tweet
+    if (words < structure.mixedFormalEmojiMinWords) return false;
     
     // Check if text contains emojis
     const hasEmoji = /[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u.test(text);
     if (!hasEmoji) return false;
     
     // Check formality score
-    const formality = this.getFormalityScore(text);
+    const formality = this.getFormalityScore(text, profile);
     
-    // If highly formal text (>0.6) contains emojis, it's suspicious
-    return formality > 0.6;
+    // If highly formal text contains emojis, it's suspicious
+    return formality > structure.mixedFormalEmojiFormality;
   }
 
   /**
    * Check for multiple source citations (AI pattern)
    */
-  hasMultipleSources(text) {
-    const sources = [
-      'bbc', 'cnn', 'reuters', 'al jazeera', 'the guardian', 'new york times',
-      'washington post', 'associated press', 'bloomberg', 'forbes',
-      'wall street journal', 'propphy', 'socialrails', 'times', 'un data',
-      'per ', 'as per', 'according to', 'sources like'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    let sourceCount = 0;
-    
-    for (const source of sources) {
-      if (lowerText.includes(source)) {
-        sourceCount++;
-      }
-    }
+  hasMultipleSources(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    const structure = profile.patterns.structuralPatterns;
     
-    // If 2+ sources cited, likely AI-generated balanced commentary
-    return sourceCount >= 2;
+    // Several sources cited = likely AI-generated balanced commentary
+    return this.countPhrases(text, structure.sourceNames) >= structure.minSources;
   }
 
   /**
    * Check for artificial balanced commentary (presenting multiple viewpoints)
    */
-  hasBalancedCommentary(text) {
-    const balancedPhrases = [
-      'in contrast', 'however', 'on the other hand', 'while',
-      'perspectives vary', 'views vary', 'both', 'either',
-      'some say', 'others argue', 'but also', 'yet'
-    ];
-    
-    const lowerText = text.toLowerCase();
-    let balanceCount = 0;
-    
-    for (const phrase of balancedPhrases) {
-      if (lowerText.includes(phrase)) {
-        balanceCount++;
-      }
-    }
+  hasBalancedCommentary(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    const structure = profile.patterns.structuralPatterns;
+    const balanceCount = this.countPhrases(text, structure.balancedPhrases);
     
-    // If 2+ balanced phrases and text is longer, likely AI
-    return balanceCount >= 2 && this.countWords(text) > 30;
+    // Several balanced phrases in a longer text, likely AI
+    return balanceCount >= structure.minBalancedPhrases && this.countWords(text) > structure.balancedMinWords;
   }
 
   /**
    * Check for conversational hooks asking for engagement
    */
-  hasConversationalHook(text) {
-    const hooks = [
-      /what's your (main use case|take|view|thought|opinion)\?/i,
-      /your take\?/i,
-      /what do you think\?/i,
-      /thoughts\?/i,
-      /what part's the/i,
-      /share .+ when you can/i,
-      /what evidence sways you/i
-    ];
-    
-    return hooks.some(hook => hook.test(text));
+  hasConversationalHook(text, profile = this.getLanguageProfile(this.patterns.language)) {
+    return this.matchesAnyPattern(text, profile.matchers.conversationalHooks);
   }
 
   /**
-   * Check if content is a duplicate or near-duplicate of a recent tweet
+   * Compare a reply with the tweet it answers
+   * @param {Object} context - { text, username } of the parent tweet, or undefined
+   * @returns {Object|null} - { parentAuthor, overlap, restatedKeywords, endsWithQuestion },
+   *   null when there is no parent text
    */
-  checkDuplicateContent(text, username) {
-    const normalized = this.normalizeText(text);
-    
-    // Check for exact matches from different users
-    for (const [cachedText, cachedUsername] of this.recentTweets.entries()) {
-      if (cachedUsername !== username && cachedText === normalized) {
-        return true; // Exact duplicate from different user
+  compareWithParent(text, context, profile = this.getLanguageProfile(this.patterns.language)) {
+    if (!context || !context.text) return null;
+    
+    const replyWords = this.contentWords(text, profile);
+    const parentWords = this.contentWords(context.text, profile);
+    
+    const { minKeywordLength } = this.patterns.replyContext;
+    let shared = 0;
+    const restatedKeywords = [];
+    parentWords.forEach((word, stem) => {
+      if (!replyWords.has(stem)) return;
+      shared++;
+      if (word.length >= minKeywordLength) {
+        restatedKeywords.push(word);
       }
+    });
+    const union = replyWords.size + parentWords.size - shared;
+    
+    // Last sentence is a question, ignoring trailing emojis and hashtags
+    const ending = text.replace(/(\s|#[\p{L}\p{N}_]+|\p{Extended_Pictographic}|\uFE0F)+$/u, '');
+    
+    return {
+      parentAuthor: context.username || '',
+      overlap: union > 0 ? shared / union : 0,
+      restatedKeywords,
+      endsWithQuestion: /[?？]$/.test(ending)
+    };
+  }
+
+  /**
+   * Distinct content words of a text, without the stopwords of its language
+   * @returns {Map} - 5-character stem -> first word with that stem, so
+   *   "regulation" meets "regulating"
+   */
+  contentWords(text, profile) {
+    const words = new Map();
+    for (const word of this.splitWords(this.normalizeText(text))) {
+      if (word.length <= 1 || profile.stopwords.has(word)) continue;
       
-      // Check for high similarity (catches variations like "deserves to go" vs "gonna go")
-      if (cachedUsername !== username && this.calculateSimilarity(normalized, cachedText) > 0.60) {
-        return true;
+      const stem = word.length > 5 ? word.slice(0, 5) : word;
+      if (!words.has(stem)) {
+        words.set(stem, word);
       }
+    }
+    return words;
+  }
+
+  /**
+   * Find earlier tweets by other authors that duplicate or nearly duplicate this one
+   * @returns {Object[]} - [{ author, text, similarity, timestamp }], most similar first
+   */
+  findDuplicates(text, username) {
+    const normalized = this.normalizeText(text);
+    if (!normalized) return [];
+    
+    const { similarityThreshold, maxMatches } = this.patterns.duplicateDetection;
+    const matches = [];
+    const seenAuthors = new Set();
+    
+    for (const candidate of this.duplicateIndex.query(normalized, { excludeAuthor: username })) {
+      // Exact, high word overlap, or same sentence pattern with word swaps
+      const isMatch = candidate.normalized === normalized ||
+                      candidate.similarity > similarityThreshold ||
+                      this.checkStructuralSimilarity(normalized, candidate.normalized);
+      if (!isMatch || seenAuthors.has(candidate.author)) continue;
       
-      // Check for structural similarity (same sentence pattern with word swaps)
-      if (cachedUsername !== username && this.checkStructuralSimilarity(normalized, cachedText)) {
-        return true;
-      }
+      seenAuthors.add(candidate.author);
+      matches.push({
+        author: candidate.author,
+        text: candidate.text,
+        similarity: candidate.similarity,
+        timestamp: candidate.timestamp
+      });
+      if (matches.length >= maxMatches) break;
     }
     
-    return false;
+    return matches;
   }
 
   /**
-   * Add tweet to cache for duplicate detection
+   * Add tweet to the index for duplicate detection
    */
   addToCache(text, username) {
     const normalized = this.normalizeText(text);
+    if (!normalized) return;
     
-    // Add to cache
-    this.recentTweets.set(normalized, username);
-    
-    // Clean up cache if it gets too large
-    if (this.recentTweets.size > this.maxCacheSize) {
-      // Remove oldest entries (first 100)
-      const iterator = this.recentTweets.keys();
-      for (let i = 0; i < 100; i++) {
-        const key = iterator.next().value;
-        if (key) this.recentTweets.delete(key);
-      }
-    }
+    this.duplicateIndex.add(username, normalized, { text, timestamp: Date.now() });
   }
 
   /**
    * Normalize text for comparison (remove extra whitespace, lowercase, etc.)
+   * Keeps letters, combining marks and digits of every script, so accented,
+   * Cyrillic, Arabic or CJK tweets are not erased.
    */
   normalizeText(text) {
     return text
       .toLowerCase()
       .replace(/\s+/g, ' ')
-      .replace(/[^\w\s]/g, '')
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
       .trim();
   }
 
-  /**
-   * Calculate similarity between two texts (0-1 scale)
-   */
-  calculateSimilarity(text1, text2) {
-    const words1 = text1.split(' ');
-    const words2 = text2.split(' ');
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
-    
-    // Simple word overlap similarity
-    const set1 = new Set(words1);
-    const set2 = new Set(words2);
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    
-    return intersection.size / union.size;
-  }
-
   /**
    * Check structural similarity (same sentence pattern with word variations)
    * E.g., "He deserves to go viral" vs "He's gonna go viral"
@@ -910,6 +1752,128 @@ class AIDetector {
     return matchingSequences >= (words1.length - 1) * 0.5;
   }
 
+  /**
+   * Measure how repetitive one account's tweets are
+   * @param {string[]} texts - Tweets by a single author
+   * @returns {Object} - { meanSimilarity, nearDuplicatePairs, repeatedPhrases }
+   *   meanSimilarity is the average pairwise word overlap (Jaccard), nearDuplicatePairs
+   *   counts pairs above duplicateDetection.similarityThreshold, repeatedPhrases lists
+   *   three-word phrases used in more than one tweet as [{ phrase, count }], most used first
+   */
+  measureRepetition(texts) {
+    const normalized = texts.map(text => this.normalizeText(text)).filter(Boolean);
+    const wordSets = normalized.map(text => this.duplicateIndex.tokenize(text));
+    const { similarityThreshold } = this.patterns.duplicateDetection;
+    const stopwords = this.getLanguageProfile(this.patterns.language).stopwords;
+    
+    let similaritySum = 0;
+    let pairs = 0;
+    let nearDuplicatePairs = 0;
+    for (let i = 0; i < wordSets.length; i++) {
+      for (let j = i + 1; j < wordSets.length; j++) {
+        const similarity = this.duplicateIndex.jaccard(wordSets[i], wordSets[j]);
+        similaritySum += similarity;
+        pairs++;
+        if (similarity > similarityThreshold) nearDuplicatePairs++;
+      }
+    }
+    
+    // Count each phrase once per tweet; phrases made only of stopwords say nothing
+    const phraseCounts = new Map();
+    normalized.forEach(text => {
+      const words = text.split(' ');
+      const phrases = new Set();
+      for (let i = 0; i + 2 < words.length; i++) {
+        const trigram = words.slice(i, i + 3);
+        if (trigram.every(word => stopwords.has(word))) continue;
+        phrases.add(trigram.join(' '));
+      }
+      phrases.forEach(phrase => phraseCounts.set(phrase, (phraseCounts.get(phrase) || 0) + 1));
+    });
+    
+    const repeatedPhrases = [...phraseCounts.entries()]
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1])
+      .map(([phrase, count]) => ({ phrase, count }));
+    
+    return {
+      meanSimilarity: pairs > 0 ? similaritySum / pairs : 0,
+      nearDuplicatePairs,
+      repeatedPhrases
+    };
+  }
+
+  /**
+   * Add a post time to the author's history and describe their cadence so far
+   * @param {string} username - Author handle
+   * @param {Date|number|string} [timestamp] - When the tweet was posted
+   * @param {boolean} record - Whether to add the timestamp to the history
+   * @returns {Object|null} - measureCadence result, null below postingCadence.minTweets
+   */
+  getPostingCadence(username, timestamp, record) {
+    const handle = (username || '').toLowerCase().replace(/[@\s]/g, '');
+    if (!handle) return null;
+    
+    const limits = this.patterns.postingCadence;
+    let history = this.authorActivity.get(handle) || [];
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    
+    if (record && Number.isFinite(time) && !history.includes(time)) {
+      history = [...history, time].sort((a, b) => a - b).slice(-limits.historySize);
+      // Re-insert so the least recently active author is evicted first
+      this.authorActivity.delete(handle);
+      this.authorActivity.set(handle, history);
+      if (this.authorActivity.size > limits.maxAuthors) {
+        this.authorActivity.delete(this.authorActivity.keys().next().value);
+      }
+    }
+    
+    if (history.length < limits.minTweets) return null;
+    return this.measureCadence(history, limits.burstMinutes);
+  }
+
+  /**
+   * Describe an account's posting rhythm from tweet timestamps
+   * @param {number[]} timestamps - Post times in milliseconds
+   * @param {number} burstMinutes - Gaps shorter than this count as bursts
+   * @returns {Object|null} - { tweets, spanHours, tweetsPerDay, medianGapMinutes, gapVariation, burstShare, activeHours },
+   *   null with fewer than two distinct times. gapVariation is the coefficient of variation of
+   *   the gaps: near 0 means clockwork posting, humans are usually well above 1.
+   *   activeHours counts the hours of the day (UTC) with at least one tweet
+   */
+  measureCadence(timestamps, burstMinutes = 2) {
+    const times = [...new Set(timestamps.filter(Number.isFinite))].sort((a, b) => a - b);
+    if (times.length < 2) return null;
+    
+    const gaps = times.slice(1).map((time, i) => (time - times[i]) / 60000);
+    const sortedGaps = [...gaps].sort((a, b) => a - b);
+    const middle = Math.floor(sortedGaps.length / 2);
+    const medianGapMinutes = sortedGaps.length % 2 ? sortedGaps[middle] : (sortedGaps[middle - 1] + sortedGaps[middle]) / 2;
+    
+    const meanGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const variance = gaps.reduce((sum, gap) => sum + (gap - meanGap) ** 2, 0) / gaps.length;
+    const spanHours = (times[times.length - 1] - times[0]) / 3600000;
+    
+    return {
+      tweets: times.length,
+      spanHours,
+      tweetsPerDay: spanHours > 0 ? times.length / (spanHours / 24) : 0,
+      medianGapMinutes,
+      gapVariation: meanGap > 0 ? Math.sqrt(variance) / meanGap : 0,
+      burstShare: gaps.filter(gap => gap < burstMinutes).length / gaps.length,
+      activeHours: new Set(times.map(time => new Date(time).getUTCHours())).size
+    };
+  }
+
+  /**
+   * Format a duration in minutes for reasons and panels
+   */
+  formatMinutes(minutes) {
+    if (minutes < 60) return `${Math.round(minutes)} min`;
+    if (minutes < 48 * 60) return `${(minutes / 60).toFixed(1)} h`;
+    return `${(minutes / 1440).toFixed(1)} days`;
+  }
+
   /**
    * Get detector statistics
    */
@@ -929,15 +1893,98 @@ class AIDetector {
    * Reset statistics
    */
   resetStats() {
-    this.stats = {
+    this.stats = this.createEmptyStats();
+  }
+
+  createEmptyStats() {
+    return {
       tweetsAnalyzed: 0,
       aiDetected: 0,
-      confidenceSum: 0
+      confidenceSum: 0,
+      categories: Object.fromEntries(AIDetector.CATEGORIES.map(category => [category, 0]))
     };
   }
 }
 
+/**
+ * Detection labels, each scored separately:
+ * llm - LLM-written text, spam - spam/promo bot,
+ * lowEffort - engagement bait / low effort, duplicate - duplicate/coordinated
+ */
+AIDetector.CATEGORIES = ['llm', 'spam', 'lowEffort', 'duplicate'];
+
+/**
+ * The user's account lists (setAccountLists), and the reason shown for each
+ * listing, including the pattern file's known AI bots
+ */
+AIDetector.ACCOUNT_LISTS = ['trusted', 'bots', 'ignored'];
+AIDetector.ACCOUNT_LIST_REASONS = {
+  knownBot: 'Official AI bot account',
+  bot: 'On your bot list',
+  trusted: 'On your trusted list',
+  ignored: 'On your ignore list'
+};
+
+/**
+ * Pattern lists that only make sense in one language. A language pack
+ * replaces them; the language-neutral profile leaves them empty.
+ */
+AIDetector.LANGUAGE_SPECIFIC_LISTS = [
+  'aiIndicatorWords',
+  'aiPhrasePatterns',
+  'structuralPatterns.threadStarters',
+  'structuralPatterns.formalConclusions',
+  'structuralPatterns.legalTerms',
+  'structuralPatterns.sourceNames',
+  'structuralPatterns.balancedPhrases',
+  'structuralPatterns.conversationalHooks',
+  'spamIndicators.genericResponses',
+  'spamIndicators.adultContentKeywords',
+  'spamIndicators.promotionalPhrases',
+  'lowEffortPatterns.shallowPatterns',
+  'stylometricFeatures.formalWords',
+  'stylometricFeatures.contractions',
+  'stylometricFeatures.slang',
+  'languageProfile.stopwords'
+];
+
+/**
+ * Scripts counted by detectLanguage, and the language assumed for each
+ * non-Latin one (Cyrillic and Arabic cover several languages; none has a pack)
+ */
+AIDetector.SCRIPTS = [
+  ['Latin', /\p{Script=Latin}/gu],
+  ['Cyrillic', /\p{Script=Cyrillic}/gu],
+  ['Greek', /\p{Script=Greek}/gu],
+  ['Arabic', /\p{Script=Arabic}/gu],
+  ['Hebrew', /\p{Script=Hebrew}/gu],
+  ['Devanagari', /\p{Script=Devanagari}/gu],
+  ['Thai', /\p{Script=Thai}/gu],
+  ['Hangul', /\p{Script=Hangul}/gu],
+  ['Han', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu]
+];
+AIDetector.SCRIPT_LANGUAGES = {
+  Cyrillic: 'ru',
+  Greek: 'el',
+  Arabic: 'ar',
+  Hebrew: 'he',
+  Devanagari: 'hi',
+  Thai: 'th',
+  Hangul: 'ko',
+  Han: 'zh'
+};
+AIDetector.KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+AIDetector.UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Latin text longer than this needs two stopword/character hits to pick a pack
+AIDetector.MIN_WORDS_FOR_LANGUAGE = 4;
+
 // Make detector available globally for content script
 if (typeof window !== 'undefined') {
   window.AIDetector = AIDetector;
 }
+
+// Allow offline tools to require() the detector from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIDetector;
+}
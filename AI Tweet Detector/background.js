@@ -3,6 +3,36 @@
  * Handles extension lifecycle, storage and communication between components
  */
 
+importScripts('history-store.js');
+
+// Account reputation: rolling per-handle record kept in chrome.storage.local
+const REPUTATION_MAX_ACCOUNTS = 2000; // Least recently seen accounts are dropped beyond this
+const REPUTATION_RECENT_TWEETS = 20; // Tweets remembered per account so rescans don't count twice
+const REPUTATION_SAVE_DELAY = 2000; // Batch writes while a timeline is scrolling
+const REPUTATION_PRIOR = 2; // Clean pseudo-tweets, so one flagged tweet alone doesn't score 100%
+const REPEAT_OFFENDER_MIN_FLAGGED = 3;
+const REPEAT_OFFENDER_RATIO = 0.5;
+
+let accountReputation = null; // Handle -> record
+let accountReputationReady = null; // Resolves to accountReputation once loaded from storage
+let reputationSaveTimer = null;
+
+// Offscreen document hosting the shared detector worker (worker mode)
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let offscreenDocumentReady = null; // Resolves once the document exists
+
+// Detection history: every flagged tweet, kept in IndexedDB for the history page
+const detectionHistory = new DetectionHistory();
+
+// Feedback: the user's "AI" / "Not AI" labels, kept in chrome.storage.local
+const FEEDBACK_MAX_LABELS = 500; // Oldest labels are dropped beyond this
+let feedbackLabels = null; // Newest first
+let feedbackLabelsReady = null; // Resolves to feedbackLabels once loaded from storage
+
+// User data the detector worker scores with: feedback labels and pattern overrides
+let detectorStateRevision = 0; // Bumped whenever either changes
+let workerStateRevision = null; // Revision the detector worker last received
+
 // Install event
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -12,10 +42,18 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.sync.set({
       settings: {
         enabled: true,
+        uncertainThreshold: 0.3,
         confidenceThreshold: 0.6,
+        botThreshold: 0.9,
         showConfidence: true,
         highlightColor: '#ff6b6b',
-        skipVerified: false
+        skipVerified: false,
+        workerMode: true,
+        displayModes: {
+          uncertain: 'highlight',
+          likely_ai: 'highlight',
+          confirmed_bot: 'highlight'
+        }
       }
     });
     
@@ -23,8 +61,7 @@ chrome.runtime.onInstalled.addListener((details) => {
     chrome.storage.local.set({
       globalStats: {
         totalTweetsAnalyzed: 0,
-        totalAIDetected: 0,
-        detections: []
+        totalAIDetected: 0
       }
     });
     
@@ -32,6 +69,7 @@ chrome.runtime.onInstalled.addListener((details) => {
     // chrome.tabs.create({ url: 'welcome.html' });
   } else if (details.reason === 'update') {
     console.log('AI Tweet Detector updated to version', chrome.runtime.getManifest().version);
+    migrateDetectionHistory();
   }
 });
 
@@ -40,6 +78,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'AI_DETECTED') {
     handleAIDetection(request.data, sender.tab);
     sendResponse({ success: true });
+  } else if (request.type === 'TWEET_ANALYZED') {
+    recordAccountTweet(request.data).then(reputation => {
+      sendResponse(reputation);
+    });
+    return true; // Keep channel open for async response
+  } else if (request.type === 'FEEDBACK_LABEL') {
+    saveFeedbackLabel(request.data).then(saved => {
+      sendResponse({ success: saved });
+    });
+    return true; // Keep channel open for async response
+  } else if (request.type === 'DETECTOR_CALL' && request.target !== 'offscreen') {
+    callDetectorWorker(request).then(response => {
+      sendResponse(response);
+    });
+    return true; // Keep channel open for async response
   } else if (request.type === 'GET_GLOBAL_STATS') {
     getGlobalStats().then(stats => {
       sendResponse(stats);
@@ -64,35 +117,296 @@ async function handleAIDetection(data, tab) {
     const result = await chrome.storage.local.get(['globalStats']);
     const globalStats = result.globalStats || {
       totalTweetsAnalyzed: 0,
-      totalAIDetected: 0,
-      detections: []
+      totalAIDetected: 0
     };
     
     // Update stats
     globalStats.totalAIDetected++;
     
-    // Add detection to history (keep last 100)
-    const detection = {
+    // Save updated stats
+    await chrome.storage.local.set({ globalStats });
+    
+    // Update badge (optional)
+    updateBadge(globalStats.totalAIDetected);
+    
+    // Add detection to history; the tweet's own link if the tab knew it
+    await detectionHistory.add([{
+      tweetId: data.tweetId || null,
       username: data.username,
+      verdict: data.verdict || null,
+      category: data.category,
       confidence: data.confidence,
       reasons: data.reasons,
       timestamp: data.timestamp,
-      url: tab ? tab.url : null
+      url: data.url || (tab ? tab.url : null)
+    }]);
+    
+  } catch (error) {
+    console.error('Error handling AI detection:', error);
+  }
+}
+
+/**
+ * Forward a tab's detector call to the worker in the offscreen document
+ * Feedback labels and pattern overrides go along whenever the worker has
+ * not seen the latest ones.
+ * @param {Object} request - { method, args, tierThresholds }
+ * @returns {Object} - { result } or { error }; tabs fall back to in-page analysis on error
+ */
+async function callDetectorWorker({ method, args, tierThresholds }) {
+  try {
+    if (!chrome.offscreen) {
+      return { error: 'Offscreen documents are not supported in this browser' };
+    }
+    
+    await ensureOffscreenDocument();
+    const revision = detectorStateRevision;
+    const response = await chrome.runtime.sendMessage({
+      type: 'DETECTOR_CALL',
+      target: 'offscreen',
+      method,
+      args,
+      tierThresholds,
+      detectorState: workerStateRevision === revision ? undefined : await getDetectorState()
+    });
+    if (!response) {
+      throw new Error('No response from the offscreen document');
+    }
+    if (response.workerFailed) {
+      await closeOffscreenDocument();
+    } else if (!response.error) {
+      workerStateRevision = revision;
+    }
+    return response;
+  } catch (error) {
+    // Chrome may have closed the document; look for it again on the next call
+    offscreenDocumentReady = null;
+    console.error('Error calling detector worker:', error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Close the offscreen document, so the next call opens a new one with a new worker
+ */
+async function closeOffscreenDocument() {
+  offscreenDocumentReady = null;
+  try {
+    await chrome.offscreen.closeDocument();
+  } catch (error) {
+    // Already closed
+  }
+}
+
+/**
+ * Open the offscreen document unless it is already open
+ * Concurrent callers share one attempt, since only one document may exist.
+ */
+function ensureOffscreenDocument() {
+  if (!offscreenDocumentReady) {
+    offscreenDocumentReady = (async () => {
+      const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+      });
+      if (contexts.length > 0) return;
+      
+      // A new document starts a new worker, which has no user data yet
+      workerStateRevision = null;
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['WORKERS'],
+        justification: 'Scores tweets in a worker shared by all Twitter/X tabs'
+      });
+    })().catch(error => {
+      // Let the next call try again
+      offscreenDocumentReady = null;
+      throw error;
+    });
+  }
+  return offscreenDocumentReady;
+}
+
+/**
+ * Load the reputation records once per service worker lifetime
+ * Concurrent callers share one load so no update lands in a discarded copy.
+ */
+function loadAccountReputation() {
+  if (!accountReputationReady) {
+    accountReputationReady = chrome.storage.local.get(['accountReputation']).then(result => {
+      accountReputation = result.accountReputation || {};
+      return accountReputation;
+    });
+  }
+  return accountReputationReady;
+}
+
+/**
+ * Count an analyzed tweet towards its author's record
+ * @param {Object} data - { username, tweetId, isAI, confidence, timestamp }
+ * @returns {Object|null} - Account summary from summarizeReputation
+ */
+async function recordAccountTweet(data) {
+  try {
+    const handle = (data.username || '').toLowerCase();
+    if (!handle) return null;
+    
+    const records = await loadAccountReputation();
+    const record = records[handle] || {
+      tweetsSeen: 0,
+      flagged: 0,
+      confidenceSum: 0,
+      lastSeen: 0,
+      recentTweets: []
     };
+    // Records saved before results were kept per tweet only have the IDs; what
+    // those tweets added is unknown, so they are never adjusted
+    if (record.recentTweetIds) {
+      record.recentTweets = record.recentTweetIds.map(id => ({ id }));
+      delete record.recentTweetIds;
+    }
     
-    globalStats.detections.unshift(detection);
-    if (globalStats.detections.length > 100) {
-      globalStats.detections = globalStats.detections.slice(0, 100);
+    // A tweet seen again after a reload or rescan replaces its earlier result,
+    // which changes when settings, the model or feedback rescored it
+    const previous = data.tweetId ? record.recentTweets.find(tweet => tweet.id === data.tweetId) : null;
+    if (!previous) {
+      record.tweetsSeen++;
+      record.confidenceSum += data.confidence;
+      if (data.isAI) {
+        record.flagged++;
+      }
+    } else if (previous.confidence !== undefined) {
+      record.confidenceSum += data.confidence - previous.confidence;
+      record.flagged += (data.isAI ? 1 : 0) - (previous.isAI ? 1 : 0);
+    }
+    if (data.tweetId && (!previous || previous.confidence !== undefined)) {
+      const latest = { id: data.tweetId, isAI: !!data.isAI, confidence: data.confidence };
+      record.recentTweets = [latest, ...record.recentTweets.filter(tweet => tweet !== previous)]
+        .slice(0, REPUTATION_RECENT_TWEETS);
     }
+    record.lastSeen = data.timestamp || Date.now();
     
-    // Save updated stats
-    await chrome.storage.local.set({ globalStats });
+    records[handle] = record;
+    scheduleReputationSave();
     
-    // Update badge (optional)
-    updateBadge(globalStats.totalAIDetected);
+    return summarizeReputation(handle, record);
+  } catch (error) {
+    console.error('Error recording account reputation:', error);
+    return null;
+  }
+}
+
+/**
+ * Account-level view of a record
+ * score is the flagged share with REPUTATION_PRIOR clean tweets added, so it
+ * only climbs once an account has been flagged more than once or twice
+ */
+function summarizeReputation(handle, record) {
+  const flaggedRatio = record.tweetsSeen > 0 ? record.flagged / record.tweetsSeen : 0;
+  return {
+    username: handle,
+    tweetsSeen: record.tweetsSeen,
+    flagged: record.flagged,
+    flaggedRatio,
+    meanConfidence: record.tweetsSeen > 0 ? record.confidenceSum / record.tweetsSeen : 0,
+    lastSeen: record.lastSeen,
+    score: record.flagged / (record.tweetsSeen + REPUTATION_PRIOR),
+    isRepeatOffender: record.flagged >= REPEAT_OFFENDER_MIN_FLAGGED && flaggedRatio >= REPEAT_OFFENDER_RATIO
+  };
+}
+
+/**
+ * Write reputation records after a quiet period, dropping the least
+ * recently seen accounts beyond REPUTATION_MAX_ACCOUNTS
+ */
+function scheduleReputationSave() {
+  clearTimeout(reputationSaveTimer);
+  reputationSaveTimer = setTimeout(async () => {
+    const handles = Object.keys(accountReputation);
+    if (handles.length > REPUTATION_MAX_ACCOUNTS) {
+      handles
+        .sort((a, b) => accountReputation[a].lastSeen - accountReputation[b].lastSeen)
+        .slice(0, handles.length - REPUTATION_MAX_ACCOUNTS)
+        .forEach(handle => delete accountReputation[handle]);
+    }
     
+    try {
+      await chrome.storage.local.set({ accountReputation });
+    } catch (error) {
+      console.error('Error saving account reputation:', error);
+    }
+  }, REPUTATION_SAVE_DELAY);
+}
+
+/**
+ * User data for the detector worker
+ * @returns {Object} - { feedback, patternOverrides }
+ */
+async function getDetectorState() {
+  const [feedback, stored] = await Promise.all([
+    loadFeedbackLabels(),
+    chrome.storage.local.get(['patternOverrides'])
+  ]);
+  return { feedback, patternOverrides: stored.patternOverrides || null };
+}
+
+// The options page saves pattern overrides straight to storage
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.patternOverrides) {
+    detectorStateRevision++;
+  }
+});
+
+/**
+ * Load the feedback labels once per service worker lifetime
+ */
+function loadFeedbackLabels() {
+  if (!feedbackLabelsReady) {
+    feedbackLabelsReady = chrome.storage.local.get(['feedbackLabels']).then(result => {
+      feedbackLabels = result.feedbackLabels || [];
+      return feedbackLabels;
+    });
+  }
+  return feedbackLabelsReady;
+}
+
+/**
+ * Store a label from a tweet's feedback buttons, replacing an earlier label
+ * for the same tweet. Tabs pick the change up through chrome.storage.onChanged.
+ * @param {Object} data - { tweetId, username, text, label, category, verdict, confidence, signals }
+ * @returns {boolean} - Whether the label was saved
+ */
+async function saveFeedbackLabel(data) {
+  try {
+    if (!data || !['ai', 'human'].includes(data.label) || !data.text) {
+      return false;
+    }
+    
+    const labels = await loadFeedbackLabels();
+    const label = {
+      tweetId: data.tweetId || null,
+      username: (data.username || '').toLowerCase(),
+      text: data.text,
+      label: data.label,
+      category: data.category,
+      verdict: data.verdict,
+      confidence: data.confidence,
+      signals: data.signals || null,
+      timestamp: Date.now()
+    };
+    
+    feedbackLabels = [
+      label,
+      ...labels.filter(existing => !label.tweetId || existing.tweetId !== label.tweetId)
+    ].slice(0, FEEDBACK_MAX_LABELS);
+    feedbackLabelsReady = Promise.resolve(feedbackLabels);
+    detectorStateRevision++;
+    
+    await chrome.storage.local.set({ feedbackLabels });
+    return true;
   } catch (error) {
-    console.error('Error handling AI detection:', error);
+    console.error('Error saving feedback label:', error);
+    return false;
   }
 }
 
@@ -115,22 +429,45 @@ async function getGlobalStats() {
   const result = await chrome.storage.local.get(['globalStats']);
   return result.globalStats || {
     totalTweetsAnalyzed: 0,
-    totalAIDetected: 0,
-    detections: []
+    totalAIDetected: 0
   };
 }
 
 /**
- * Reset global statistics
+ * Move detections older versions kept in globalStats (the last 100) into
+ * the detection history
+ */
+async function migrateDetectionHistory() {
+  try {
+    const result = await chrome.storage.local.get(['globalStats']);
+    const globalStats = result.globalStats;
+    if (!globalStats || !Array.isArray(globalStats.detections)) return;
+    
+    // Stored oldest first, so the history's insertion order matches
+    await detectionHistory.add(globalStats.detections.slice().reverse());
+    delete globalStats.detections;
+    await chrome.storage.local.set({ globalStats });
+  } catch (error) {
+    console.error('Error migrating detection history:', error);
+  }
+}
+
+/**
+ * Reset global statistics, detection history and account reputation
  */
 async function resetGlobalStats() {
+  clearTimeout(reputationSaveTimer);
+  accountReputation = {};
+  accountReputationReady = Promise.resolve(accountReputation);
+  
   await chrome.storage.local.set({
     globalStats: {
       totalTweetsAnalyzed: 0,
-      totalAIDetected: 0,
-      detections: []
-    }
+      totalAIDetected: 0
+    },
+    accountReputation
   });
+  await detectionHistory.clear();
   
   updateBadge(0);
 }
@@ -2,14 +2,85 @@
  * Content Script - Monitors Twitter/X DOM and analyzes tweets in real-time
  */
 
-// Initialize detector
-const detector = new AIDetector();
-const processedTweets = new Set();
+// Initialize detector (scores in the shared worker when settings.workerMode is on)
+const detector = new DetectorClient();
+const selectorProfile = new SelectorProfile(); // Where tweet parts live in the page, see selectors.json
+const processedTweets = new Map(); // Tweet ID -> hash of the content it was analyzed with
+const elementTweetIds = new WeakMap(); // Tweet element -> tweet ID it last showed
+const localTweetIds = new WeakMap(); // Tweet element without a permalink -> ID made up for it
+let nextLocalTweetId = 1;
+const tweetResults = new Map(); // Tweet ID -> { element, username, text, metadata, result, reputation } from its own analysis
+const analyzedThreads = new Map(); // First member's tweet ID -> member IDs last scored as a thread
+let threadScanTimer = null;
+const recentResults = new Map(); // Tweet ID -> { username, text, timestamp, result }, oldest first
+let profileAudit = null; // { handle, tweetIds, dismissed } for the profile being viewed
+let profileAuditTimer = null;
+let focalTweet = null; // { statusId, element } for the status page being viewed, element null until it loads
+const pendingTweets = new Set(); // Tweet elements waiting to be analyzed
+const visibleTweets = new Set(); // Pending tweets currently in the viewport
+let scanHandle = null;
+let viewportObserver = null;
+const highlightState = new WeakMap(); // Highlighted element -> { style, result, mode, added, blurred }
+const revealedTweets = new WeakSet(); // Elements the user chose to show in full
+const feedbackTargets = new WeakMap(); // Analyzed element -> { tweetId, username, text, result } its feedback is about
+let feedbackLabels = new Map(); // Tweet ID -> the user's label for it, from chrome.storage.local
+
+// Consecutive tweets by one author needed to score them as a self-thread
+const THREAD_MIN_TWEETS = 2;
+// Wait for a burst of newly loaded tweets to settle before regrouping threads
+const THREAD_SCAN_DELAY = 500;
+
+// Idle time left (ms) below which a scan batch stops and yields to the page
+const SCAN_MIN_IDLE_TIME = 2;
+// Longest a queued tweet waits for idle time before it is analyzed anyway
+const SCAN_IDLE_TIMEOUT = 1000;
+
+// Results remembered by tweet ID, so a profile audit can include tweets first seen elsewhere
+const RECENT_RESULTS_LIMIT = 2000;
+const PROFILE_AUDIT_DELAY = 1000;
+// Top-level routes that look like handles but are not profiles
+const RESERVED_ROUTES = new Set([
+  'home', 'explore', 'notifications', 'messages', 'i', 'settings', 'search',
+  'compose', 'login', 'logout', 'signup', 'tos', 'privacy', 'bookmarks',
+  'lists', 'communities', 'jobs', 'premium', 'hashtag', 'topics'
+]);
+// Settings that change verdicts or badges of tweets already analyzed
+const RESCAN_SETTINGS = [
+  'uncertainThreshold', 'confidenceThreshold', 'botThreshold',
+  'skipVerified', 'workerMode', 'showConfidence'
+];
 let settings = {
   enabled: true,
+  uncertainThreshold: 0.3,
   confidenceThreshold: 0.6,
+  botThreshold: 0.9,
   showConfidence: true,
-  highlightColor: '#ff6b6b'
+  highlightColor: '#ff6b6b',
+  skipVerified: false,
+  workerMode: true,
+  // How each tier is shown: 'highlight', 'blur', 'collapse' or 'remove'
+  displayModes: {
+    uncertain: 'highlight',
+    likely_ai: 'highlight',
+    confirmed_bot: 'highlight'
+  }
+};
+
+const DISPLAY_MODES = ['highlight', 'blur', 'collapse', 'remove'];
+
+// Badge prefix for each verdict tier
+const TIER_PREFIXES = {
+  uncertain: 'Possibly',
+  likely_ai: 'Likely',
+  confirmed_bot: 'Confirmed'
+};
+
+// Badge text for each detection category (see AIDetector.CATEGORIES)
+const CATEGORY_LABELS = {
+  llm: 'LLM-written',
+  spam: 'Spam/Promo Bot',
+  lowEffort: 'Low Effort',
+  duplicate: 'Duplicate/Coordinated'
 };
 
 // Load settings from storage
@@ -17,19 +88,62 @@ chrome.storage.sync.get(['settings'], (result) => {
   if (result.settings) {
     settings = { ...settings, ...result.settings };
   }
+  applyDetectorSettings();
 });
 
+// Load the user's feedback labels and account lists
+chrome.storage.local.get(['feedbackLabels', 'accountLists'], (result) => {
+  applyFeedbackLabels(result.feedbackLabels || []);
+  detector.setAccountLists(result.accountLists || {});
+});
+
+/**
+ * Push tier boundaries and worker mode from settings into the detector
+ */
+function applyDetectorSettings() {
+  detector.setTierThresholds({
+    uncertain: settings.uncertainThreshold,
+    likelyAI: settings.confidenceThreshold,
+    confirmedBot: settings.botThreshold
+  });
+  detector.setWorkerMode(settings.workerMode);
+}
+
 /**
  * Main observer to watch for new tweets
+ * Only the subtrees a mutation added are searched; the tweets found are
+ * queued and analyzed in idle time, those on screen first.
  */
 function initializeTweetObserver() {
+  viewportObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      // Entries can still arrive for a tweet analyzed since
+      if (entry.isIntersecting && pendingTweets.has(entry.target)) {
+        visibleTweets.add(entry.target);
+      } else {
+        visibleTweets.delete(entry.target);
+      }
+    });
+    scheduleScan();
+  });
+
   const observer = new MutationObserver((mutations) => {
     if (!settings.enabled) return;
 
-    // Find all tweet elements
-    const tweets = findTweetElements();
-    tweets.forEach(tweetElement => {
-      analyzeTweetElement(tweetElement);
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        // Our own badges, controls and panel are not tweet content
+        if (!element || element.closest('.ai-detector-badge, .ai-collapse-stub, .ai-reveal-button, .ai-feedback-mark, #ai-audit-panel')) return;
+
+        // Content added inside a tweet (text loading, "Show more") changes that tweet
+        const tweet = selectorProfile.closest(element, 'tweet');
+        if (tweet) {
+          queueTweet(tweet);
+        } else {
+          findTweetElements(element).forEach(queueTweet);
+        }
+      });
     });
   });
 
@@ -44,51 +158,150 @@ function initializeTweetObserver() {
 
   // Initial scan of existing tweets
   setTimeout(() => {
-    const tweets = findTweetElements();
-    tweets.forEach(tweetElement => {
-      analyzeTweetElement(tweetElement);
-    });
+    findTweetElements().forEach(queueTweet);
   }, 2000);
 }
 
 /**
- * Find tweet elements in the DOM
- * Twitter/X uses data-testid="tweet" for tweet containers
+ * Queue a tweet element for analysis and watch whether it is on screen
  */
-function findTweetElements() {
-  // Multiple selectors for compatibility
-  const selectors = [
-    '[data-testid="tweet"]',
-    'article[role="article"]',
-    '[data-testid="tweetText"]'
-  ];
+function queueTweet(tweetElement) {
+  if (pendingTweets.has(tweetElement)) return;
 
-  const tweets = [];
-  selectors.forEach(selector => {
-    const elements = document.querySelectorAll(selector);
-    elements.forEach(el => {
-      // Find the parent article element if we selected a child
-      const tweetContainer = el.closest('article') || el;
-      if (!tweets.includes(tweetContainer)) {
-        tweets.push(tweetContainer);
-      }
-    });
+  pendingTweets.add(tweetElement);
+  viewportObserver.observe(tweetElement);
+  scheduleScan();
+}
+
+/**
+ * Run the next scan batch when the browser is idle (or after
+ * SCAN_IDLE_TIMEOUT at the latest)
+ */
+function scheduleScan() {
+  if (scanHandle !== null || pendingTweets.size === 0) return;
+
+  scanHandle = typeof requestIdleCallback === 'function'
+    ? requestIdleCallback(processPendingTweets, { timeout: SCAN_IDLE_TIMEOUT })
+    : setTimeout(() => processPendingTweets(null), 50);
+}
+
+/**
+ * Analyze queued tweets, on-screen ones first, until the idle period runs
+ * out; whatever is left waits for the next one
+ * @param {IdleDeadline|null} deadline - null when requestIdleCallback is unavailable
+ */
+function processPendingTweets(deadline) {
+  scanHandle = null;
+  if (!settings.enabled) return;
+
+  const hasTime = () => !deadline || deadline.didTimeout || deadline.timeRemaining() > SCAN_MIN_IDLE_TIME;
+  let processed = 0;
+
+  // Always make some progress, even when the idle period is already used up
+  while (pendingTweets.size > 0 && (processed === 0 || hasTime())) {
+    const next = visibleTweets.values().next();
+    const tweetElement = next.done ? pendingTweets.values().next().value : next.value;
+
+    pendingTweets.delete(tweetElement);
+    visibleTweets.delete(tweetElement);
+    viewportObserver.unobserve(tweetElement);
+
+    if (tweetElement.isConnected) {
+      analyzeTweetElement(tweetElement);
+      processed++;
+    }
+  }
+
+  scheduleScan();
+}
+
+/**
+ * Find tweet elements in the DOM (the selector profile's tweet field)
+ * @param {Element|Document} root - Subtree to search, itself included
+ */
+function findTweetElements(root = document) {
+  const tweets = new Set();
+  selectorProfile.queryAll(root, 'tweet').forEach(el => {
+    // Find the parent article element if we selected a child
+    tweets.add(el.closest('article') || el);
   });
 
-  return tweets;
+  return [...tweets];
+}
+
+/**
+ * Find the quoted tweet embedded in a tweet, if any. It is a link block
+ * with its own author line, so the second User-Name inside the article
+ * belongs to it.
+ */
+function findQuotedTweet(tweetElement) {
+  const userNames = selectorProfile.queryAll(tweetElement, 'userName').slice(1);
+  for (const userName of userNames) {
+    const container = selectorProfile.closest(userName, 'quote');
+    if (container && tweetElement.contains(container)) return container;
+  }
+  return null;
+}
+
+/**
+ * Title and description of the link card attached to a tweet
+ * Large cards only carry the title in their link's aria-label.
+ */
+function extractCardText(tweetElement, quoteElement) {
+  const card = selectorProfile.query(tweetElement, 'card', quoteElement);
+  if (!card) return '';
+
+  const detail = selectorProfile.query(card, 'cardDetail');
+  if (detail) return detail.innerText.trim();
+
+  const link = card.querySelector('a[aria-label]');
+  return link ? link.getAttribute('aria-label').trim() : '';
+}
+
+/**
+ * Extract the quoted tweet's author and text. Its author line has no profile
+ * link (the whole block is one link), so the handle is read from the text.
+ * @returns {Object|null} - { element, text, username, displayName, timestamp }
+ */
+function extractQuotedTweet(quoteElement) {
+  const textElement = selectorProfile.query(quoteElement, 'text');
+  const userName = selectorProfile.query(quoteElement, 'userName');
+  if (!textElement || !userName) return null;
+
+  const profileLink = userName.querySelector('a[href^="/"]');
+  const handleMatch = profileLink
+    ? (profileLink.getAttribute('href') || '').match(/^\/([A-Za-z0-9_]{1,15})$/)
+    : userName.innerText.match(/@([A-Za-z0-9_]{1,15})/);
+  const displayNameElement = userName.querySelector('span');
+  const timeElement = selectorProfile.query(quoteElement, 'time');
+
+  return {
+    element: quoteElement,
+    text: textElement.innerText,
+    username: handleMatch ? handleMatch[1] : '',
+    displayName: displayNameElement ? displayNameElement.innerText : '',
+    timestamp: timeElement ? new Date(timeElement.getAttribute('datetime')) : null
+  };
 }
 
 /**
  * Extract tweet data from DOM element
+ * Text and card are the tweet's own; a quoted tweet is returned separately as quote.
+ * @param {Object} options
+ * @param {boolean} [options.recordHealth=true] - Count the fields found towards
+ *   selector health; off for tweets read again, e.g. as a reply's parent
  */
-function extractTweetData(tweetElement) {
+function extractTweetData(tweetElement, { recordHealth = true } = {}) {
   try {
+    const quoteElement = findQuotedTweet(tweetElement);
+
     // Extract tweet text
-    const textElement = tweetElement.querySelector('[data-testid="tweetText"]');
+    const textElement = selectorProfile.query(tweetElement, 'text', quoteElement);
     const text = textElement ? textElement.innerText : '';
 
     // Extract username handle (e.g., @grok -> grok)
-    const usernameHandleElement = tweetElement.querySelector('[data-testid="User-Name"] a[href*="/"]');
+    const userNameSection = selectorProfile.query(tweetElement, 'userName', quoteElement);
+    const usernameHandleElement = userNameSection ? userNameSection.querySelector('a[href*="/"]') : null;
     let username = '';
     if (usernameHandleElement) {
       const href = usernameHandleElement.getAttribute('href') || '';
@@ -97,20 +310,30 @@ function extractTweetData(tweetElement) {
     }
     
     // Get display name (may contain emojis)
-    const displayNameElement = tweetElement.querySelector('[data-testid="User-Name"] span');
+    const displayNameElement = userNameSection ? userNameSection.querySelector('span') : null;
     const displayName = displayNameElement ? displayNameElement.innerText : username;
 
     // Extract timestamp to estimate account activity
-    const timeElement = tweetElement.querySelector('time');
+    const timeElement = selectorProfile.query(tweetElement, 'time', quoteElement);
     const timestamp = timeElement ? new Date(timeElement.getAttribute('datetime')) : null;
 
+    // Health check: how often each field can still be read. A photo or
+    // video without a caption has no text to find.
+    if (recordHealth) {
+      if (textElement || !selectorProfile.query(tweetElement, 'media', quoteElement)) {
+        selectorProfile.record('text', textElement);
+      }
+      selectorProfile.record('username', username);
+      selectorProfile.record('time', timestamp && !isNaN(timestamp.getTime()));
+      selectorProfile.record('permalink', selectorProfile.query(tweetElement, 'permalink', quoteElement));
+    }
+
     // Try to detect account age indicators (this is limited from DOM)
-    const verifiedBadge = tweetElement.querySelector('[data-testid="icon-verified"]');
+    const verifiedBadge = selectorProfile.query(tweetElement, 'verifiedIcon', quoteElement);
     const isVerified = !!verifiedBadge;
     
     // Detect affiliate/organization badges
     // Look for all verification badges in the user area
-    const userNameSection = tweetElement.querySelector('[data-testid="User-Name"]');
     let hasAffiliateBadge = false;
     
     if (userNameSection) {
@@ -128,7 +351,7 @@ function extractTweetData(tweetElement) {
             ariaLabel.includes('government') ||
             testId.includes('affiliates') ||
             // Gold/square verified badge (not the standard blue checkmark)
-            (ariaLabel.includes('verified') && testId !== 'icon-verified')) {
+            (ariaLabel.includes('verified') && !selectorProfile.matches(badge, 'verifiedIcon'))) {
           hasAffiliateBadge = true;
         }
       });
@@ -150,6 +373,8 @@ function extractTweetData(tweetElement) {
 
     return {
       text,
+      cardText: extractCardText(tweetElement, quoteElement),
+      quote: quoteElement ? extractQuotedTweet(quoteElement) : null,
       username,
       displayName,
       timestamp,
@@ -169,20 +394,42 @@ function extractTweetData(tweetElement) {
  * Analyze a tweet element
  */
 async function analyzeTweetElement(tweetElement) {
-  // Check if already processed
   const tweetId = getTweetId(tweetElement);
-  if (processedTweets.has(tweetId)) {
+  noteProfileTweet(tweetId);
+
+  // The page reuses elements as it scrolls: drop marks left by another tweet
+  const previousId = elementTweetIds.get(tweetElement);
+  elementTweetIds.set(tweetElement, tweetId);
+  if (previousId && previousId !== tweetId) {
+    clearHighlight(tweetElement);
+  }
+
+  // Skip tweets already analyzed with this content; edits, "Show more"
+  // and translations change the hash and get the tweet scored again
+  const contentHash = getContentHash(tweetElement);
+  const analyzedHash = processedTweets.get(tweetId);
+  if (analyzedHash === contentHash) {
     return;
   }
 
   const tweetData = extractTweetData(tweetElement);
-  if (!tweetData || !tweetData.text || tweetData.text.length < 1) {
+  if (!tweetData) return;
+  if (analyzedHash !== undefined) {
+    forgetAnalysis(tweetId, tweetElement);
+  }
+  processedTweets.set(tweetId, contentHash);
+
+  if (tweetData.quote) {
+    analyzeQuotedTweet(`${tweetId}:quote`, tweetData.quote);
+  }
+  if (!tweetData.text || tweetData.text.length < 1) {
     return; // Skip tweets without text
   }
 
-  // Skip verified accounts if setting enabled (future feature)
-  if (tweetData.isVerified && settings.skipVerified) {
-    processedTweets.add(tweetId);
+  // Ignored accounts are never analyzed; verified ones are skipped on request
+  // unless the user listed them
+  const listing = detector.getAccountListing(tweetData.username);
+  if (listing === 'ignored' || (tweetData.isVerified && settings.skipVerified && !listing)) {
     return;
   }
 
@@ -192,38 +439,499 @@ async function analyzeTweetElement(tweetElement) {
     displayName: tweetData.displayName, // Use display name for emoji detection
     timestamp: tweetData.timestamp,
     isVerified: tweetData.isVerified,
-    hasAffiliateBadge: tweetData.hasAffiliateBadge
+    hasAffiliateBadge: tweetData.hasAffiliateBadge,
+    cardText: tweetData.cardText,
+    replyContext: findReplyContext(tweetElement, tweetId, tweetData.username)
   };
 
   // Analyze the tweet
+  const previous = tweetResults.get(tweetId);
   const result = await detector.analyze(tweetData.text, metadata);
+  if (processedTweets.get(tweetId) !== contentHash) {
+    return; // Content changed while this ran; the newer analysis wins
+  }
 
   // Debug logging
   console.log('Tweet analyzed:', {
     text: tweetData.text.substring(0, 100),
     confidence: result.confidence,
+    verdict: result.verdict,
+    category: result.category,
     isAI: result.isAI,
     threshold: settings.confidenceThreshold,
     reasons: result.reasons
   });
 
   // Store result
-  processedTweets.add(tweetId);
+  const reputation = await recordAccountReputation(tweetId, tweetData.username, result);
+  tweetResults.set(tweetId, {
+    element: tweetElement,
+    username: tweetData.username,
+    text: tweetData.text,
+    metadata,
+    result,
+    reputation
+  });
+  feedbackTargets.set(tweetElement, { tweetId, username: tweetData.username, text: tweetData.text, result });
 
-  // If AI detected (any match), highlight the tweet immediately
-  if (result.isAI) {
-    highlightTweet(tweetElement, result);
-    
-    // Send to background script for stats
-    chrome.runtime.sendMessage({
-      type: 'AI_DETECTED',
+  if (shouldHighlight(result, reputation)) {
+    highlightTweet(tweetElement, result, reputation);
+  } else {
+    addFeedbackMark(tweetElement);
+  }
+
+  rememberResult(tweetId, tweetData, result);
+  scheduleThreadScan();
+  scheduleProfileAudit();
+
+  // A re-analyzed tweet was already counted if it was flagged before
+  if (!(previous && previous.result.isAI)) {
+    reportDetection(tweetId, tweetData.username, result);
+  }
+}
+
+/**
+ * Score a quoted tweet on its own, attributed to its author, and mark the
+ * quote block inside the quoting tweet
+ */
+async function analyzeQuotedTweet(quoteId, quote) {
+  const contentHash = hashText(quote.text);
+  const analyzedHash = processedTweets.get(quoteId);
+  if (analyzedHash === contentHash || !quote.text) return;
+  if (detector.getAccountListing(quote.username) === 'ignored') return;
+  processedTweets.set(quoteId, contentHash);
+  if (analyzedHash !== undefined) {
+    clearHighlight(quote.element);
+  }
+
+  const result = await detector.analyze(quote.text, {
+    username: quote.username,
+    displayName: quote.displayName,
+    timestamp: quote.timestamp
+  });
+  if (processedTweets.get(quoteId) !== contentHash) return;
+  feedbackTargets.set(quote.element, { tweetId: quoteId, username: quote.username, text: quote.text, result });
+
+  if (shouldHighlight(result, null)) {
+    highlightTweet(quote.element, result);
+  }
+  if (analyzedHash === undefined) {
+    reportDetection(quoteId, quote.username, result);
+  }
+}
+
+/**
+ * Hash of the text a tweet shows, its own and its quoted tweet's. Read
+ * with textContent, which is cheap enough to check on every mutation.
+ */
+function getContentHash(tweetElement) {
+  return hashText(selectorProfile.queryAll(tweetElement, 'text')
+    .map(el => el.textContent)
+    .join('\u0000'));
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as hex
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Drop a tweet's highlight before it is scored again with changed content.
+ * Threads containing it are rescored with the new text.
+ */
+function forgetAnalysis(tweetId, tweetElement) {
+  analyzedThreads.forEach((key, firstId) => {
+    if (key.split(',').includes(tweetId)) {
+      analyzedThreads.delete(firstId);
+    }
+  });
+
+  clearHighlight(tweetElement);
+}
+
+/**
+ * Send a flagged tweet to the background script for stats and history
+ * Only likely AI and confirmed bots count towards detection stats.
+ * @param {string} tweetId - Status ID, `<id>:quote` for the tweet quoted by
+ *   that status (linked through the quoting tweet), or a local ID
+ */
+function reportDetection(tweetId, username, result) {
+  if (!result.isAI) return;
+
+  const statusId = tweetId.match(/^\d+/);
+  chrome.runtime.sendMessage({
+    type: 'AI_DETECTED',
+    data: {
+      tweetId: statusId ? tweetId : null,
+      url: statusId ? `${location.origin}/i/web/status/${statusId[0]}` : null,
+      username,
+      verdict: result.verdict,
+      category: result.category,
+      confidence: result.confidence,
+      reasons: result.reasons,
+      timestamp: Date.now()
+    }
+  });
+}
+
+/**
+ * Count a tweet towards its author's rolling record in the background worker
+ * @returns {Object|null} - Account summary { tweetsSeen, flagged, flaggedRatio,
+ *   meanConfidence, score, isRepeatOffender, ... }, null if unavailable
+ */
+async function recordAccountReputation(tweetId, username, result) {
+  try {
+    return await chrome.runtime.sendMessage({
+      type: 'TWEET_ANALYZED',
       data: {
-        username: tweetData.username,
+        username,
+        // Fallback IDs only name an element, not a tweet, so they can't dedupe
+        tweetId: /^\d+$/.test(tweetId) ? tweetId : null,
+        isAI: result.isAI,
         confidence: result.confidence,
-        reasons: result.reasons,
         timestamp: Date.now()
       }
     });
+  } catch (error) {
+    console.error('Error recording account reputation:', error);
+    return null;
+  }
+}
+
+/**
+ * Every tier above human gets highlighted; clean tweets from repeat
+ * offenders still get a badge so the account stands out
+ */
+function shouldHighlight(result, reputation) {
+  return result.verdict !== 'human' || Boolean(reputation && reputation.isRepeatOffender);
+}
+
+/**
+ * Whether the page shows a conversation (a tweet and its replies), the only
+ * view where consecutive tweets by one author form a thread
+ */
+function isConversationView() {
+  return /\/status\/\d+/.test(window.location.pathname);
+}
+
+/**
+ * Sort comparator putting elements in the order they appear on the page
+ */
+function comparePagePosition(a, b) {
+  return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+/**
+ * On a status page, find the tweet that a tweet answers: the tweet just
+ * above it for the focal tweet and its ancestors, the focal tweet for the
+ * replies below it. Nested replies are compared with the focal tweet too,
+ * since the page does not say which reply they answer. Replies to the
+ * author's own tweets have no context, restating yourself is normal.
+ * @returns {Object|null} - { text, username } of the parent tweet
+ */
+function findReplyContext(tweetElement, tweetId, username) {
+  const match = window.location.pathname.match(/\/status\/(\d+)/);
+  if (!match) return null;
+
+  const focal = getFocalTweet(match[1], tweetElement, tweetId);
+  if (!focal) return null;
+
+  // The page unmounts tweets scrolled far away; a focal tweet that is gone
+  // has replies below it on screen
+  const isReply = !focal.isConnected ||
+    Boolean(focal.compareDocumentPosition(tweetElement) & Node.DOCUMENT_POSITION_FOLLOWING);
+  const parent = isReply ? focal : findPreviousTweet(tweetElement);
+  if (!parent) return null;
+
+  // The parent was already counted towards selector health when it was analyzed
+  const parentData = extractTweetData(parent, { recordHealth: false });
+  if (!parentData || !parentData.text || parentData.username.toLowerCase() === (username || '').toLowerCase()) {
+    return null;
+  }
+
+  return { text: parentData.text, username: parentData.username };
+}
+
+/**
+ * The focal tweet of a status page. The page is searched once per status
+ * page; a focal tweet that loads later is picked up when it is analyzed.
+ */
+function getFocalTweet(statusId, tweetElement, tweetId) {
+  if (tweetId === statusId) {
+    focalTweet = { statusId, element: tweetElement };
+  } else if (!focalTweet || focalTweet.statusId !== statusId) {
+    const element = findTweetElements().find(tweet => getTweetId(tweet) === statusId);
+    focalTweet = { statusId, element: element || null };
+  }
+  return focalTweet.element;
+}
+
+/**
+ * The closest tweet above a tweet on the page. Only the siblings between
+ * the two are searched, walking up one level at a time.
+ */
+function findPreviousTweet(tweetElement) {
+  for (let node = tweetElement; node && node !== document.body; node = node.parentElement) {
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      const tweets = findTweetElements(sibling);
+      if (tweets.length > 0) return tweets[tweets.length - 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Regroup self-threads once newly loaded tweets have been analyzed
+ */
+function scheduleThreadScan() {
+  pruneDetachedResults();
+  if (!isConversationView()) return;
+  
+  clearTimeout(threadScanTimer);
+  threadScanTimer = setTimeout(analyzeSelfThreads, THREAD_SCAN_DELAY);
+}
+
+/**
+ * Forget per-tweet results whose element has left the page, so the map only
+ * holds tweets that can still be grouped into a thread
+ */
+function pruneDetachedResults() {
+  tweetResults.forEach((entry, id) => {
+    if (!entry.element.isConnected) {
+      tweetResults.delete(id);
+    }
+  });
+}
+
+/**
+ * Find runs of consecutive analyzed tweets by the same author, in page order
+ * @returns {Object[][]} - Each run is a list of { id, element, username, text, metadata, result }
+ */
+function findSelfThreads() {
+  const members = [...tweetResults.entries()]
+    .filter(([, entry]) => entry.username)
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => comparePagePosition(a.element, b.element));
+
+  const threads = [];
+  let run = [];
+  for (const member of members) {
+    const previous = run[run.length - 1];
+    if (previous && previous.username.toLowerCase() !== member.username.toLowerCase()) {
+      threads.push(run);
+      run = [];
+    }
+    run.push(member);
+  }
+  threads.push(run);
+
+  return threads.filter(thread => thread.length >= THREAD_MIN_TWEETS);
+}
+
+/**
+ * Score every self-thread as one document and show the thread verdict on
+ * each member. Threads are rescored only when their members change, e.g.
+ * when scrolling loads more of the thread.
+ */
+async function analyzeSelfThreads() {
+  if (!settings.enabled || !isConversationView()) return;
+
+  for (const thread of findSelfThreads()) {
+    const key = thread.map(member => member.id).join(',');
+    if (analyzedThreads.get(thread[0].id) === key) continue;
+    analyzedThreads.set(thread[0].id, key);
+
+    const threadResult = await detector.analyzeThread(
+      thread.map(member => member.text),
+      thread[0].metadata
+    );
+    threadResult.thread.author = thread[0].username;
+
+    // A member keeps its own result when that is stronger than the thread's,
+    // or when the user marked its text (or another member's) as not AI
+    thread.forEach(member => {
+      const result = member.result.suppressed || threadResult.suppressed ||
+        threadResult.confidence < member.result.confidence
+        ? member.result
+        : threadResult;
+      clearHighlight(member.element);
+      if (shouldHighlight(result, member.reputation)) {
+        highlightTweet(member.element, result, member.reputation);
+      } else {
+        addFeedbackMark(member.element);
+      }
+    });
+  }
+}
+
+/**
+ * Handle of the profile being viewed (x.com/<handle> and its tabs), or null
+ */
+function getProfileHandle() {
+  const match = window.location.pathname.match(/^\/([A-Za-z0-9_]{1,15})(?:\/(?:with_replies|media|highlights|articles))?\/?$/);
+  if (!match || RESERVED_ROUTES.has(match[1].toLowerCase())) return null;
+  return match[1].toLowerCase();
+}
+
+/**
+ * Keep a tweet's result by ID, dropping the oldest beyond RECENT_RESULTS_LIMIT
+ */
+function rememberResult(tweetId, tweetData, result) {
+  recentResults.delete(tweetId);
+  recentResults.set(tweetId, {
+    username: tweetData.username.toLowerCase(),
+    text: tweetData.text,
+    timestamp: tweetData.timestamp ? tweetData.timestamp.getTime() : null,
+    result
+  });
+
+  if (recentResults.size > RECENT_RESULTS_LIMIT) {
+    recentResults.delete(recentResults.keys().next().value);
+  }
+}
+
+/**
+ * Record that a tweet is on the profile being viewed. Starts a new audit
+ * when the user moves to another profile and drops it when they leave.
+ */
+function noteProfileTweet(tweetId) {
+  const handle = getProfileHandle();
+  if (!profileAudit || profileAudit.handle !== handle) {
+    profileAudit = handle ? { handle, tweetIds: new Set(), dismissed: false } : null;
+    removeProfileAuditPanel();
+  }
+  if (!profileAudit) return;
+
+  if (!profileAudit.tweetIds.has(tweetId)) {
+    profileAudit.tweetIds.add(tweetId);
+    scheduleProfileAudit();
+  }
+}
+
+function scheduleProfileAudit() {
+  if (!profileAudit) return;
+
+  clearTimeout(profileAuditTimer);
+  profileAuditTimer = setTimeout(renderProfileAudit, PROFILE_AUDIT_DELAY);
+}
+
+/**
+ * Summarize the profile's own analyzed tweets (retweets of others are left out)
+ * @returns {Object|null} - { handle, total, flagged, uncertain, topReasons, repetition, cadence }
+ */
+function buildProfileAudit() {
+  const { handle, tweetIds } = profileAudit;
+  const entries = [...tweetIds]
+    .map(id => recentResults.get(id))
+    .filter(entry => entry && entry.username === handle);
+  if (entries.length === 0) return null;
+
+  // Count each signal once per tweet, named by its reason without the numbers
+  const reasonCounts = new Map();
+  entries.forEach(({ result }) => {
+    if (!result.breakdown) return;
+    result.breakdown.signals
+      .filter(signal => signal.contribution > 0)
+      .forEach(signal => {
+        const reason = (signal.reason || signal.name).replace(/\s*\(.*\)$/, '');
+        reasonCounts.set(reason, (reasonCounts.get(reason) || 0) + 1);
+      });
+  });
+
+  return {
+    handle,
+    total: entries.length,
+    flagged: entries.filter(({ result }) => result.isAI).length,
+    uncertain: entries.filter(({ result }) => result.verdict === 'uncertain').length,
+    topReasons: [...reasonCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5),
+    repetition: detector.measureRepetition(entries.map(({ text }) => text)),
+    cadence: detector.measureCadence(entries.map(({ timestamp }) => timestamp))
+  };
+}
+
+/**
+ * Show or refresh the audit panel for the profile being viewed
+ */
+function renderProfileAudit() {
+  if (!settings.enabled || !profileAudit || profileAudit.dismissed) return;
+
+  const audit = buildProfileAudit();
+  if (!audit) return;
+
+  let panel = document.getElementById('ai-audit-panel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'ai-audit-panel';
+    document.body.appendChild(panel);
+  }
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const { repetition, cadence } = audit;
+  const phrases = repetition.repeatedPhrases
+    .slice(0, 3)
+    .map(({ phrase, count }) => `“${phrase}” ×${count}`)
+    .join(', ');
+
+  // Handles, reasons and phrases come from the page, so everything is set as text
+  const header = createNode('div', 'ai-audit-header');
+  header.appendChild(createNode('strong', '', `Account audit: @${audit.handle}`));
+  const close = createNode('button', 'ai-audit-close', '×');
+  close.title = 'Hide for this profile';
+  close.addEventListener('click', () => {
+    profileAudit.dismissed = true;
+    removeProfileAuditPanel();
+  });
+  header.appendChild(close);
+
+  const parts = [
+    header,
+    createNode('div', 'ai-audit-row', `${audit.total} tweets analyzed on this page`),
+    createNode('div', 'ai-audit-row',
+      `Flagged: ${audit.flagged} (${percent(audit.flagged / audit.total)}) · Possibly AI: ${audit.uncertain}`)
+  ];
+
+  if (audit.topReasons.length > 0) {
+    const list = document.createElement('ul');
+    audit.topReasons.forEach(([reason, count]) => {
+      const item = createNode('li', '', `${reason} `);
+      item.appendChild(createNode('span', 'ai-audit-count', `×${count}`));
+      list.appendChild(item);
+    });
+    parts.push(createNode('div', 'ai-audit-section', 'Most common reasons'), list);
+  }
+
+  parts.push(
+    createNode('div', 'ai-audit-section', 'Repetition'),
+    createNode('div', 'ai-audit-row',
+      `${percent(repetition.meanSimilarity)} average word overlap · ${repetition.nearDuplicatePairs} near-duplicate pairs`)
+  );
+  if (phrases) {
+    parts.push(createNode('div', 'ai-audit-row', `Repeated phrases: ${phrases}`));
+  }
+
+  parts.push(
+    createNode('div', 'ai-audit-section', 'Posting cadence'),
+    createNode('div', 'ai-audit-row', cadence
+      ? `${cadence.tweetsPerDay.toFixed(1)} tweets/day · median gap ${detector.formatMinutes(cadence.medianGapMinutes)}` +
+        ` · ${percent(cadence.burstShare)} within 2 min · gap variation ${cadence.gapVariation.toFixed(2)}` +
+        ` · active in ${cadence.activeHours} of 24 hours`
+      : 'Not enough dated tweets yet')
+  );
+
+  panel.replaceChildren(...parts);
+}
+
+function removeProfileAuditPanel() {
+  const panel = document.getElementById('ai-audit-panel');
+  if (panel) {
+    panel.remove();
   }
 }
 
@@ -231,34 +939,60 @@ async function analyzeTweetElement(tweetElement) {
  * Get unique ID for tweet element
  */
 function getTweetId(tweetElement) {
-  // Try to find a unique identifier
-  const link = tweetElement.querySelector('a[href*="/status/"]');
+  // Try to find a unique identifier (a quoted tweet's link is not this tweet's)
+  const link = selectorProfile.query(tweetElement, 'permalink', findQuotedTweet(tweetElement));
   if (link) {
     const match = link.href.match(/\/status\/(\d+)/);
     if (match) return match[1];
   }
   
-  // Fallback to generating ID from text content
-  const textElement = tweetElement.querySelector('[data-testid="tweetText"]');
-  const text = textElement ? textElement.innerText : '';
-  return `${text.substring(0, 50)}-${Date.now()}`;
+  // No permalink (e.g. still loading): name the element, so the same
+  // element keeps its ID across scans
+  if (!localTweetIds.has(tweetElement)) {
+    localTweetIds.set(tweetElement, `local-${nextLocalTweetId++}`);
+  }
+  return localTweetIds.get(tweetElement);
 }
 
 /**
- * Highlight tweet as AI-generated
+ * Highlight tweet according to its verdict tier
+ * @param {Object} reputation - Author summary from recordAccountReputation, or null
  */
-function highlightTweet(tweetElement, result) {
-  // Add AI indicator class
-  tweetElement.classList.add('ai-detected-tweet');
+function highlightTweet(tweetElement, result, reputation = null) {
+  // Remember the page's own inline styles so clearHighlight can put them back
+  if (!highlightState.has(tweetElement)) {
+    highlightState.set(tweetElement, {
+      style: {
+        attribute: tweetElement.getAttribute('style'),
+        borderLeft: tweetElement.style.borderLeft,
+        backgroundColor: tweetElement.style.backgroundColor
+      },
+      mode: null,
+      added: [],
+      blurred: []
+    });
+  }
+  const state = highlightState.get(tweetElement);
+  state.result = result;
+  removeFeedbackMark(tweetElement);
+
+  // Add AI indicator and tier classes
+  tweetElement.classList.add('ai-detected-tweet', `ai-tier-${result.verdict}`);
   tweetElement.setAttribute('data-ai-confidence', result.confidence.toFixed(2));
+  tweetElement.setAttribute('data-ai-verdict', result.verdict);
+  tweetElement.setAttribute('data-ai-category', result.category);
+  tweetElement.classList.toggle('ai-thread-member', Boolean(result.thread));
 
   // Create and inject AI indicator badge
-  if (!tweetElement.querySelector('.ai-detector-badge')) {
-    const badge = createBadge(result);
+  if (!findOwnBadge(tweetElement)) {
+    const badge = createBadge(result, reputation);
+    if (feedbackTargets.has(tweetElement)) {
+      badge.querySelector('.ai-badge-tooltip').appendChild(createFeedbackControls(tweetElement));
+    }
     
     // Find the best place to insert the badge (after username/time)
-    const insertPoint = tweetElement.querySelector('[data-testid="User-Name"]') || 
-                       tweetElement.querySelector('[data-testid="tweetText"]');
+    const insertPoint = selectorProfile.query(tweetElement, 'userName') ||
+                       selectorProfile.query(tweetElement, 'text');
     
     if (insertPoint) {
       // Insert after the user info
@@ -269,69 +1003,467 @@ function highlightTweet(tweetElement, result) {
     }
   }
 
-  // Apply visual highlighting
-  tweetElement.style.borderLeft = `4px solid ${settings.highlightColor}`;
-  tweetElement.style.backgroundColor = `${settings.highlightColor}15`;
+  // Apply visual highlighting, stronger for higher tiers
+  if (result.verdict === 'human') {
+    // Badge only: the tweet itself looks clean, its author does not
+    tweetElement.style.borderLeft = state.style.borderLeft;
+    tweetElement.style.backgroundColor = state.style.backgroundColor;
+  } else if (result.verdict === 'uncertain') {
+    tweetElement.style.borderLeft = `3px dashed ${settings.highlightColor}`;
+    tweetElement.style.backgroundColor = state.style.backgroundColor;
+  } else if (result.verdict === 'confirmed_bot') {
+    tweetElement.style.borderLeft = `6px solid ${settings.highlightColor}`;
+    tweetElement.style.backgroundColor = `${settings.highlightColor}30`;
+  } else {
+    tweetElement.style.borderLeft = `4px solid ${settings.highlightColor}`;
+    tweetElement.style.backgroundColor = `${settings.highlightColor}15`;
+  }
+
+  applyDisplayMode(tweetElement);
+}
+
+/**
+ * Display mode for a result's tier from settings; clean tweets are only badged
+ */
+function getDisplayMode(result) {
+  const mode = (settings.displayModes || {})[result.verdict];
+  return DISPLAY_MODES.includes(mode) ? mode : 'highlight';
+}
+
+/**
+ * Blur, collapse or hide a highlighted tweet according to its tier's display
+ * mode. Blurred and collapsed tweets get a control that shows them in full.
+ */
+function applyDisplayMode(tweetElement) {
+  const state = highlightState.get(tweetElement);
+  clearDisplayMode(tweetElement);
+
+  const mode = getDisplayMode(state.result);
+  if (mode === 'highlight' || revealedTweets.has(tweetElement)) return;
+
+  if (mode === 'remove') {
+    tweetElement.classList.add('ai-mode-removed');
+  } else if (mode === 'collapse') {
+    const percent = Math.round(state.result.confidence * 100);
+    const stub = createRevealControl(tweetElement, 'ai-collapse-stub', `Hidden: ${getVerdictLabel(state.result)} (${percent}%) · Show`);
+    tweetElement.classList.add('ai-mode-collapsed');
+    tweetElement.insertBefore(stub, tweetElement.firstChild);
+    state.added.push(stub);
+  } else if (mode === 'blur') {
+    state.blurred = selectorProfile.queryAll(tweetElement, 'text');
+    if (state.blurred.length === 0) return;
+
+    state.blurred.forEach(el => el.classList.add('ai-blurred-text'));
+    const button = createRevealControl(tweetElement, 'ai-reveal-button', 'Show text');
+    const lastText = state.blurred[state.blurred.length - 1];
+    lastText.parentElement.insertBefore(button, lastText.nextSibling);
+    state.added.push(button);
+  }
+  state.mode = mode;
+}
+
+/**
+ * Undo applyDisplayMode, leaving the highlight itself in place
+ */
+function clearDisplayMode(tweetElement) {
+  const state = highlightState.get(tweetElement);
+  if (!state || !state.mode) return;
+
+  tweetElement.classList.remove('ai-mode-removed', 'ai-mode-collapsed');
+  state.blurred.forEach(el => el.classList.remove('ai-blurred-text'));
+  state.added.forEach(el => el.remove());
+  state.blurred = [];
+  state.added = [];
+  state.mode = null;
+}
+
+/**
+ * Button that shows a blurred or collapsed tweet for the rest of the visit
+ */
+function createRevealControl(tweetElement, className, label) {
+  const control = document.createElement('button');
+  control.type = 'button';
+  control.className = className;
+  control.textContent = label;
+  control.addEventListener('click', (event) => {
+    // The tweet itself is a link to its page
+    event.preventDefault();
+    event.stopPropagation();
+    revealedTweets.add(tweetElement);
+    clearDisplayMode(tweetElement);
+  });
+  return control;
+}
+
+/**
+ * Reapply display modes after the settings changed
+ */
+function refreshDisplayModes() {
+  document.querySelectorAll('.ai-detected-tweet').forEach(tweet => {
+    if (highlightState.has(tweet)) {
+      applyDisplayMode(tweet);
+    }
+  });
+}
+
+/**
+ * Short verdict label, e.g. "Likely LLM-written"
+ */
+function getVerdictLabel(result) {
+  return result.verdict === 'human'
+    ? 'Repeat Offender Account'
+    : `${TIER_PREFIXES[result.verdict] || ''} ${CATEGORY_LABELS[result.category] || 'AI Generated'}`.trim();
 }
 
 /**
  * Create AI detection badge
+ * @param {Object} reputation - Author summary shown next to the tweet score, or null
  */
-function createBadge(result) {
+function createBadge(result, reputation = null) {
   const badge = document.createElement('div');
-  badge.className = 'ai-detector-badge';
+  badge.className = `ai-detector-badge ai-tier-${result.verdict} ai-category-${result.category}`;
+  if (reputation && reputation.isRepeatOffender) {
+    badge.classList.add('ai-repeat-offender');
+  }
   
   const confidencePercent = Math.round(result.confidence * 100);
   const confidenceLevel = confidencePercent >= 90 ? 'high' : 
                          confidencePercent >= 80 ? 'medium' : 'low';
   
-  badge.innerHTML = `
-    <div class="ai-badge-text">
-      <span class="ai-badge-label">AI Generated</span>
-      ${settings.showConfidence ? `<span class="ai-badge-confidence confidence-${confidenceLevel}">${confidencePercent}%</span>` : ''}
-    </div>
-    <div class="ai-badge-tooltip">
-      <strong>AI Detection Confidence: ${confidencePercent}%</strong>
-      <ul>
-        ${result.reasons.map(reason => `<li>${reason}</li>`).join('')}
-      </ul>
-    </div>
-  `;
-  
+  const categoryScores = Object.entries(result.categories || {})
+    .map(([category, score]) => `${CATEGORY_LABELS[category]}: ${Math.round(score * 100)}%`)
+    .join(' · ');
+  // No pattern pack for the language: only language-neutral signals were scored
+  const languageNote = result.features.patternLanguage === 'und' ? ' (language-neutral signals only)' : '';
+
+  // Reasons, handles and matched phrases come from the page or from imported
+  // pattern lists, so every value is set as text
+  const text = createNode('div', 'ai-badge-text');
+  text.appendChild(createNode('span', 'ai-badge-label', getVerdictLabel(result)));
+  if (settings.showConfidence) {
+    text.appendChild(createNode('span', `ai-badge-confidence confidence-${confidenceLevel}`, `${confidencePercent}%`));
+  }
+  if (reputation) {
+    text.appendChild(createNode('span', 'ai-badge-account', `Account ${Math.round(reputation.score * 100)}%`));
+  }
+
+  const tooltip = createNode('div', 'ai-badge-tooltip');
+  tooltip.appendChild(createNode('strong', '',
+    `${CATEGORY_LABELS[result.category] || 'AI Generated'} Confidence: ${confidencePercent}%`));
+  if (result.thread) {
+    tooltip.appendChild(createNode('div', 'ai-badge-thread',
+      `Scored as a thread of ${result.thread.size} tweets by @${result.thread.author}`));
+  }
+  if (reputation) {
+    tooltip.appendChild(createNode('div', 'ai-badge-reputation',
+      `@${reputation.username}: ${reputation.flagged} of ${reputation.tweetsSeen} tweets flagged, ` +
+      `average confidence ${Math.round(reputation.meanConfidence * 100)}%`));
+  }
+  if (categoryScores) {
+    tooltip.appendChild(createNode('div', 'ai-badge-categories', categoryScores));
+  }
+  if (result.language) {
+    tooltip.appendChild(createNode('div', 'ai-badge-language', `Language: ${result.language}${languageNote}`));
+  }
+  if (result.breakdown) {
+    tooltip.append(...renderBreakdown(result.breakdown));
+  } else {
+    const list = document.createElement('ul');
+    result.reasons.forEach(reason => list.appendChild(createNode('li', '', reason)));
+    tooltip.appendChild(list);
+  }
+
+  badge.append(text, tooltip);
   return badge;
 }
 
 /**
- * Listen for settings updates
+ * Render the per-signal score breakdown as a table, biggest impact first
+ * @returns {Element[]} - The table and its summary line
+ */
+function renderBreakdown(breakdown) {
+  const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+  const addRow = (parent, cells, className = '', cellTag = 'td') => {
+    const row = createNode('tr', className);
+    cells.forEach(cell => row.appendChild(createNode(cellTag, '', cell)));
+    parent.appendChild(row);
+    return row;
+  };
+
+  const table = createNode('table', 'ai-breakdown');
+  addRow(table.createTHead(), ['Signal', 'Group', 'Value', 'Weight', 'Impact'], '', 'th');
+
+  const body = table.createTBody();
+  breakdown.signals.forEach(entry => {
+    addRow(body, [
+      entry.reason || entry.name,
+      entry.group,
+      entry.value.toFixed(2),
+      entry.weight.toFixed(2),
+      formatSigned(entry.contribution)
+    ], entry.contribution >= 0 ? 'ai-breakdown-up' : 'ai-breakdown-down');
+  });
+  if (breakdown.signals.length === 0) {
+    addRow(body, ['No signals fired']).firstChild.colSpan = 5;
+  }
+  addRow(body, ['Baseline (bias)', '', '', '', formatSigned(breakdown.bias)], 'ai-breakdown-bias');
+
+  const groups = breakdown.groups
+    .map(({ group, contribution }) => `${group} ${formatSigned(contribution)}`)
+    .join(' · ');
+  const summary = createNode('div', 'ai-breakdown-summary');
+  if (groups) {
+    summary.append(`By group: ${groups}`, document.createElement('br'));
+  }
+  summary.append(`Total ${formatSigned(breakdown.logit)} → ${Math.round(breakdown.probability * 100)}%`);
+
+  return [table, summary];
+}
+
+/**
+ * Create an element with an optional class and text content
+ */
+function createNode(tag, className = '', text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+/**
+ * Use the stored feedback labels for badges and scoring
+ */
+function applyFeedbackLabels(labels) {
+  feedbackLabels = new Map(labels.filter(label => label.tweetId).map(label => [label.tweetId, label]));
+  detector.setFeedback(labels);
+}
+
+/**
+ * The user's label for the tweet an element shows, or null
+ */
+function getFeedbackLabel(tweetElement) {
+  const target = feedbackTargets.get(tweetElement);
+  return (target && feedbackLabels.get(target.tweetId)) || null;
+}
+
+/**
+ * "Not AI" / "Is AI" buttons for a badge tooltip, or the label already given
+ */
+function createFeedbackControls(tweetElement) {
+  const controls = document.createElement('div');
+  controls.className = 'ai-badge-feedback';
+
+  const label = getFeedbackLabel(tweetElement);
+  if (label) {
+    controls.textContent = `You marked this as ${label.label === 'ai' ? 'AI' : 'not AI'}`;
+    return controls;
+  }
+
+  [['human', 'Not AI'], ['ai', 'Is AI']].forEach(([value, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ai-feedback-button';
+    button.textContent = text;
+    button.addEventListener('click', async (event) => {
+      // The tweet itself is a link to its page
+      event.preventDefault();
+      event.stopPropagation();
+      controls.querySelectorAll('button').forEach(el => { el.disabled = true; });
+
+      if (!await sendFeedback(tweetElement, value)) {
+        controls.querySelectorAll('button').forEach(el => { el.disabled = false; });
+      } else if (value === 'human') {
+        // Corrected: show the tweet as clean, with the control to undo it
+        // (quoted tweets only get the badge)
+        clearHighlight(tweetElement);
+        if (selectorProfile.matches(tweetElement, 'tweet')) {
+          addFeedbackMark(tweetElement);
+        }
+      } else {
+        controls.replaceWith(createFeedbackControls(tweetElement));
+      }
+    });
+    controls.appendChild(button);
+  });
+  return controls;
+}
+
+/**
+ * Small "Mark as AI" control for a tweet that was not flagged, shown on hover
+ */
+function addFeedbackMark(tweetElement) {
+  if (!feedbackTargets.has(tweetElement) || tweetElement.querySelector('.ai-feedback-mark')) return;
+
+  const insertPoint = selectorProfile.query(tweetElement, 'userName');
+  if (!insertPoint || !insertPoint.parentElement) return;
+
+  const mark = document.createElement('button');
+  mark.type = 'button';
+  mark.className = 'ai-feedback-mark';
+  const label = getFeedbackLabel(tweetElement);
+  mark.disabled = Boolean(label && label.label === 'ai');
+  mark.textContent = mark.disabled ? 'Marked as AI' : 'Mark as AI';
+  mark.addEventListener('click', async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    mark.disabled = true;
+    const saved = await sendFeedback(tweetElement, 'ai');
+    mark.disabled = saved;
+    mark.textContent = saved ? 'Marked as AI' : 'Mark as AI';
+  });
+
+  insertPoint.parentElement.insertBefore(mark, insertPoint.nextSibling);
+}
+
+function removeFeedbackMark(tweetElement) {
+  const mark = tweetElement.querySelector('.ai-feedback-mark');
+  if (mark) {
+    mark.remove();
+  }
+}
+
+/**
+ * Store the user's label for a tweet in the background script, with the
+ * tweet's own result and signal vector so the detector can learn from it
+ * @param {string} label - 'ai' or 'human'
+ * @returns {boolean} - Whether the label was saved
+ */
+async function sendFeedback(tweetElement, label) {
+  const target = feedbackTargets.get(tweetElement);
+  if (!target) return false;
+
+  const { tweetId, username, text, result } = target;
+  // Fallback IDs only name an element, not a tweet
+  const storedId = /^\d+(:quote)?$/.test(tweetId) ? tweetId : null;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'FEEDBACK_LABEL',
+      data: {
+        tweetId: storedId,
+        username,
+        text,
+        label,
+        category: result.category,
+        verdict: result.verdict,
+        confidence: result.confidence,
+        // Listed accounts skip feature extraction, so there is nothing to learn from
+        signals: result.features.accountListing ? null : detector.getSignalVector(result.features)
+      }
+    });
+    if (!response || !response.success) return false;
+
+    if (storedId) {
+      feedbackLabels.set(storedId, { tweetId: storedId, label });
+    }
+    return true;
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    return false;
+  }
+}
+
+/**
+ * Listen for settings, feedback label, account list and pattern updates
  */
 chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.feedbackLabels) {
+    applyFeedbackLabels(changes.feedbackLabels.newValue || []);
+  }
+  
+  // Edited account lists change verdicts for tweets already on the page
+  if (namespace === 'local' && changes.accountLists) {
+    detector.setAccountLists(changes.accountLists.newValue || {});
+    if (settings.enabled) {
+      rescanPage();
+    }
+  }
+  
+  // So do edited patterns, once they are reloaded
+  if (namespace === 'local' && changes.patternOverrides) {
+    detector.setPatternOverrides(changes.patternOverrides.newValue).then(() => {
+      if (settings.enabled) {
+        rescanPage();
+      }
+    });
+  }
+
   if (namespace === 'sync' && changes.settings) {
+    const previous = settings;
     settings = { ...settings, ...changes.settings.newValue };
+    applyDetectorSettings();
     
     // If disabled, remove all highlights
     if (!settings.enabled) {
       removeAllHighlights();
+    } else if (!previous.enabled || RESCAN_SETTINGS.some(key => previous[key] !== settings[key])) {
+      // Tweets already on the page were cleared, or carry verdicts from the old settings
+      rescanPage();
+    } else {
+      refreshDisplayModes();
     }
   }
 });
 
+/**
+ * Clear every result and analyze the page's tweets again
+ */
+function rescanPage() {
+  removeAllHighlights();
+  findTweetElements().forEach(queueTweet);
+}
+
 /**
  * Remove all AI highlights
  */
 function removeAllHighlights() {
   const highlightedTweets = document.querySelectorAll('.ai-detected-tweet');
-  highlightedTweets.forEach(tweet => {
-    tweet.classList.remove('ai-detected-tweet');
-    tweet.style.borderLeft = '';
-    tweet.style.backgroundColor = '';
-    
-    const badge = tweet.querySelector('.ai-detector-badge');
-    if (badge) {
-      badge.remove();
-    }
-  });
+  highlightedTweets.forEach(clearHighlight);
+  document.querySelectorAll('.ai-feedback-mark').forEach(mark => mark.remove());
   
   processedTweets.clear();
+  tweetResults.clear();
+  analyzedThreads.clear();
+  recentResults.clear();
+  profileAudit = null;
+  removeProfileAuditPanel();
+}
+
+/**
+ * Remove the highlight, display mode, tier classes, badge and feedback mark from one tweet,
+ * leaving it exactly as the page rendered it
+ */
+function clearHighlight(tweet) {
+  // Look the badge up while the tweet still carries its highlight class
+  const badge = findOwnBadge(tweet);
+  clearDisplayMode(tweet);
+  tweet.classList.remove('ai-detected-tweet', 'ai-tier-human', 'ai-tier-uncertain', 'ai-tier-likely_ai', 'ai-tier-confirmed_bot', 'ai-thread-member');
+  tweet.removeAttribute('data-ai-confidence');
+  tweet.removeAttribute('data-ai-verdict');
+  tweet.removeAttribute('data-ai-category');
+  
+  const state = highlightState.get(tweet);
+  if (state) {
+    // Put back the style attribute as it was, or drop it if there was none
+    if (state.style.attribute === null) {
+      tweet.removeAttribute('style');
+    } else {
+      tweet.setAttribute('style', state.style.attribute);
+    }
+    highlightState.delete(tweet);
+  }
+  
+  if (badge) {
+    badge.remove();
+  }
+  removeFeedbackMark(tweet);
+}
+
+/**
+ * The badge belonging to a highlighted tweet itself, not to a quoted tweet inside it
+ */
+function findOwnBadge(tweet) {
+  return [...tweet.querySelectorAll('.ai-detector-badge')]
+    .find(badge => badge.closest('.ai-detected-tweet') === tweet) || null;
 }
 
 /**
@@ -340,17 +1472,15 @@ function removeAllHighlights() {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'GET_STATS') {
     const stats = detector.getStats();
-    sendResponse(stats);
+    sendResponse({ ...stats, domHealth: selectorProfile.getHealth() });
   } else if (request.type === 'RESET_STATS') {
     detector.resetStats();
     processedTweets.clear();
+    tweetResults.clear();
+    analyzedThreads.clear();
     sendResponse({ success: true });
   } else if (request.type === 'RESCAN') {
-    removeAllHighlights();
-    const tweets = findTweetElements();
-    tweets.forEach(tweetElement => {
-      analyzeTweetElement(tweetElement);
-    });
+    rescanPage();
     sendResponse({ success: true });
   }
   
@@ -0,0 +1,56 @@
+/**
+ * AI Tweet Detector - File exports
+ * CSV and JSON downloads shared by the history and options pages.
+ */
+
+/**
+ * Format records as CSV (RFC 4180). Text cells starting with =, +, - or @
+ * get a leading ' so spreadsheets show them instead of running them.
+ * @param {Object[]} records
+ * @param {Object[]} columns - { header, value: record => cell }; arrays are joined with "; "
+ * @returns {string}
+ */
+function toCSV(records, columns) {
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(column => formatCell(column.header)).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => formatCell(column.value(record))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} name - e.g. from exportFileName()
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name for an export, e.g. ai-tweet-detector-history-2024-05-01.csv
+ */
+function exportFileName(kind, extension) {
+  const date = new Date();
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+  return `ai-tweet-detector-${kind}-${day}.${extension}`;
+}
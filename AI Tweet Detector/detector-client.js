@@ -0,0 +1,158 @@
+/**
+ * Detector Client - AIDetector interface for the content script
+ * In worker mode, tweets are scored by the detector worker behind the
+ * offscreen document, off the page's main thread and with one duplicate
+ * index shared by every tab. A local AIDetector keeps the per-tab stats,
+ * runs the cheap helpers, and takes over when the worker is off or fails.
+ * After a failure the worker is tried again with backoff; the background
+ * script recreates the offscreen document on the next call if it is gone.
+ */
+
+class DetectorClient {
+  constructor() {
+    this.local = new AIDetector();
+    this.workerMode = false;
+    this.workerFailures = 0; // Failed calls in a row; reset by a successful one
+    this.workerRetryAt = 0; // Time (ms) before which calls stay local after a failure
+  }
+
+  /**
+   * Turn worker mode on or off (settings.workerMode)
+   */
+  setWorkerMode(enabled) {
+    this.workerMode = Boolean(enabled);
+  }
+
+  usesWorker() {
+    return this.workerMode && Date.now() >= this.workerRetryAt;
+  }
+
+  /**
+   * Whether a call for this author goes to the worker. Accounts on the
+   * user's lists are answered here without scoring, so the lists stay in the tab.
+   */
+  routesToWorker(metadata) {
+    return this.usesWorker() && !this.local.getAccountListing(metadata.username);
+  }
+
+  /**
+   * Analyze a tweet, as AIDetector.analyze(). Results from the worker count
+   * towards this tab's stats.
+   */
+  async analyze(text, metadata = {}) {
+    if (this.routesToWorker(metadata)) {
+      const result = await this.callWorker('analyze', [text, this.serializeMetadata(metadata)]);
+      if (result) return this.local.recordStats(result);
+    }
+    return this.local.analyze(text, metadata);
+  }
+
+  /**
+   * Analyze a self-thread, as AIDetector.analyzeThread()
+   */
+  async analyzeThread(texts, metadata = {}) {
+    if (this.routesToWorker(metadata)) {
+      const result = await this.callWorker('analyzeThread', [texts, this.serializeMetadata(metadata)]);
+      if (result) return result;
+    }
+    return this.local.analyzeThread(texts, metadata);
+  }
+
+  /**
+   * Send a call through the background script to the worker
+   * @returns {Object|null} - The result, or null to analyze locally until the next retry
+   */
+  async callWorker(method, args) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DETECTOR_CALL',
+        method,
+        args,
+        tierThresholds: this.local.tierThresholds
+      });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from detector worker');
+      }
+      this.workerFailures = 0;
+      return response.result;
+    } catch (error) {
+      // Double the wait after each failure in a row, up to the maximum
+      const delay = Math.min(
+        DetectorClient.RETRY_DELAY * 2 ** this.workerFailures,
+        DetectorClient.MAX_RETRY_DELAY
+      );
+      this.workerFailures++;
+      this.workerRetryAt = Date.now() + delay;
+      console.error(`Detector worker unavailable, analyzing in the page for ${Math.round(delay / 1000)}s:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Extension messages are JSON, so dates are sent as milliseconds
+   */
+  serializeMetadata(metadata) {
+    const timestamp = metadata.timestamp instanceof Date ? metadata.timestamp.getTime() : metadata.timestamp;
+    return { ...metadata, timestamp: Number.isFinite(timestamp) ? timestamp : null };
+  }
+
+  setTierThresholds(thresholds) {
+    this.local.setTierThresholds(thresholds);
+  }
+
+  /**
+   * Feedback labels for local analysis; the background script hands them to the worker
+   */
+  setFeedback(labels) {
+    this.local.setFeedback(labels);
+  }
+
+  /**
+   * Reload the local patterns with new overrides; the background script hands them to the worker
+   */
+  setPatternOverrides(overrides) {
+    return this.local.setPatternOverrides(overrides);
+  }
+
+  setAccountLists(lists) {
+    this.local.setAccountLists(lists);
+  }
+
+  getAccountListing(username) {
+    return this.local.getAccountListing(username);
+  }
+
+  getSignalVector(features) {
+    return this.local.getSignalVector(features);
+  }
+
+  getStats() {
+    return this.local.getStats();
+  }
+
+  resetStats() {
+    this.local.resetStats();
+  }
+
+  measureRepetition(texts) {
+    return this.local.measureRepetition(texts);
+  }
+
+  measureCadence(timestamps, burstMinutes) {
+    return this.local.measureCadence(timestamps, burstMinutes);
+  }
+
+  formatMinutes(minutes) {
+    return this.local.formatMinutes(minutes);
+  }
+}
+
+// Wait (ms) after a failed worker call before trying the worker again,
+// doubled for each further failure in a row
+DetectorClient.RETRY_DELAY = 5000;
+DetectorClient.MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Make the client available globally for content script
+if (typeof window !== 'undefined') {
+  window.DetectorClient = DetectorClient;
+}
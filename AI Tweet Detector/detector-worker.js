@@ -0,0 +1,45 @@
+/**
+ * Detector Worker - Runs AIDetector in a dedicated worker
+ * Started by the offscreen document, so one detector (and one duplicate
+ * index) serves every open Twitter/X tab.
+ */
+
+importScripts('duplicate-index.js', 'ai-detector.js');
+
+// Methods tabs may call; everything else stays private to the worker
+const WORKER_METHODS = ['analyze', 'analyzeThread'];
+
+// Workers have no chrome.runtime, but share the extension's origin
+const detector = new AIDetector({
+  loadJSON: async (file) => {
+    const response = await fetch(file);
+    return response.json();
+  }
+});
+
+/**
+ * Handle { id, method, args, tierThresholds, detectorState } and reply with { id, result } or { id, error }
+ * Tier thresholds come with every call since each tab has its own settings copy.
+ * detectorState ({ feedback, patternOverrides }) only comes when it changed since the last call.
+ */
+self.onmessage = async (event) => {
+  const { id, method, args, tierThresholds, detectorState } = event.data;
+
+  try {
+    if (!WORKER_METHODS.includes(method)) {
+      throw new Error(`Unknown detector method: ${method}`);
+    }
+
+    await detector.ready;
+    detector.setTierThresholds(tierThresholds);
+    if (detectorState) {
+      detector.setFeedback(detectorState.feedback);
+      await detector.setPatternOverrides(detectorState.patternOverrides);
+    }
+    const result = await detector[method](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    console.error('Detector worker error:', error);
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,232 @@
+/**
+ * AI Tweet Detector - Near-duplicate index
+ * MinHash signatures with locality-sensitive hashing (LSH) bands, so finding
+ * copy-paste tweets only compares against likely candidates instead of every
+ * cached tweet. Stores every (author, text) pair seen in the window.
+ */
+
+class NearDuplicateIndex {
+  /**
+   * @param {Object} options
+   * @param {number} [options.numHashes=72] - MinHash signature length
+   * @param {number} [options.bandSize=3] - Rows per LSH band (numHashes / bandSize bands).
+   *   24 bands of 3 rows catch ~99% of pairs at Jaccard 0.6 and ~2% at 0.1
+   * @param {number} [options.maxEntries=5000] - Tweets kept before the oldest are evicted
+   */
+  constructor({ numHashes = 72, bandSize = 3, maxEntries = 5000 } = {}) {
+    this.numHashes = numHashes;
+    this.bandSize = bandSize;
+    this.maxEntries = maxEntries;
+    this.seeds = this.createSeeds(numHashes);
+    this.clear();
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries = new Map(); // id -> entry, in insertion order
+    this.buckets = new Map(); // band key -> Set of ids
+    this.nextId = 1;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Change the window size, evicting the oldest entries if it shrank
+   */
+  setMaxEntries(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.evict();
+  }
+
+  /**
+   * Add a tweet to the index
+   * @param {string} author - Tweet author handle
+   * @param {string} normalized - Normalized text (lowercase, space separated words)
+   * @param {Object} extra - Stored alongside the entry and returned from query()
+   * @returns {Object} - The stored entry
+   */
+  add(author, normalized, extra = {}) {
+    const words = this.tokenize(normalized);
+    const signature = this.signature(words);
+    const entry = {
+      id: this.nextId++,
+      author,
+      normalized,
+      words,
+      bandKeys: this.bandKeys(signature),
+      ...extra
+    };
+
+    this.entries.set(entry.id, entry);
+    for (const key of entry.bandKeys) {
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, new Set());
+      }
+      this.buckets.get(key).add(entry.id);
+    }
+
+    this.evict();
+    return entry;
+  }
+
+  /**
+   * Find earlier tweets that share at least one LSH band with the text
+   * @param {string} normalized - Normalized text
+   * @param {Object} options
+   * @param {string} [options.excludeAuthor] - Skip tweets by this author
+   * @returns {Object[]} - Candidate entries with a Jaccard `similarity`, most similar first
+   */
+  query(normalized, { excludeAuthor } = {}) {
+    const words = this.tokenize(normalized);
+    if (words.size === 0) return [];
+
+    const candidateIds = new Set();
+    for (const key of this.bandKeys(this.signature(words))) {
+      const bucket = this.buckets.get(key);
+      if (bucket) {
+        bucket.forEach(id => candidateIds.add(id));
+      }
+    }
+
+    const candidates = [];
+    for (const id of candidateIds) {
+      const entry = this.entries.get(id);
+      if (!entry || (excludeAuthor !== undefined && entry.author === excludeAuthor)) continue;
+      candidates.push({ ...entry, similarity: this.jaccard(words, entry.words) });
+    }
+
+    return candidates.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const [oldestId, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestId);
+
+      for (const key of oldest.bandKeys) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) continue;
+        bucket.delete(oldestId);
+        if (bucket.size === 0) {
+          this.buckets.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Words of the normalized text. Runs of scripts written without spaces
+   * (Chinese, Japanese, Thai...) become character bigrams, so a one-character
+   * edit does not turn the whole sentence into a different token.
+   */
+  tokenize(normalized) {
+    const tokens = new Set();
+    for (const word of normalized.split(' ')) {
+      if (word.length === 0) continue;
+      
+      const chars = [...word];
+      if (chars.length > 2 && NearDuplicateIndex.UNSPACED_SCRIPTS.test(word)) {
+        for (let i = 0; i < chars.length - 1; i++) {
+          tokens.add(chars[i] + chars[i + 1]);
+        }
+      } else {
+        tokens.add(word);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * MinHash signature: for each hash function, the minimum hash over all words
+   */
+  signature(words) {
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+    for (const word of words) {
+      const base = this.hashString(word);
+      for (let i = 0; i < this.numHashes; i++) {
+        const hash = this.mix(base ^ this.seeds[i]);
+        if (hash < signature[i]) {
+          signature[i] = hash;
+        }
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Split a signature into bands; texts sharing any band become candidates
+   */
+  bandKeys(signature) {
+    const keys = [];
+    for (let start = 0; start < signature.length; start += this.bandSize) {
+      keys.push(`${start}:${signature.slice(start, start + this.bandSize).join(',')}`);
+    }
+    return keys;
+  }
+
+  jaccard(setA, setB) {
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let intersection = 0;
+    for (const word of setA) {
+      if (setB.has(word)) intersection++;
+    }
+    return intersection / (setA.size + setB.size - intersection);
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Murmur3 finalizer, turns one base hash into independent-looking hashes per seed
+   */
+  mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+
+  /**
+   * Deterministic seeds so signatures are stable across runs
+   */
+  createSeeds(count) {
+    const seeds = [];
+    let state = 0x9e3779b9;
+    for (let i = 0; i < count; i++) {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      seeds.push(state);
+    }
+    return seeds;
+  }
+}
+
+NearDuplicateIndex.UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Make index available globally for content script
+if (typeof window !== 'undefined') {
+  window.NearDuplicateIndex = NearDuplicateIndex;
+}
+
+// Allow offline tools to require() the index from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NearDuplicateIndex;
+}
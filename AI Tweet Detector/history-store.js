@@ -0,0 +1,142 @@
+/**
+ * AI Tweet Detector - Detection history
+ * Flagged tweets kept in IndexedDB, so the history can grow past what fits
+ * comfortably in chrome.storage. The background worker writes to it and the
+ * history page reads it directly; both share the extension's origin.
+ */
+
+class DetectionHistory {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries=10000] - Detections kept before the oldest are dropped
+   */
+  constructor({ maxEntries = 10000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.db = null; // Promise resolving to the open IDBDatabase
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DetectionHistory.DB_NAME, DetectionHistory.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(DetectionHistory.STORE, {
+            keyPath: 'id',
+            autoIncrement: true
+          });
+          store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.db.catch(() => {
+        this.db = null; // Let the next call try again
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Store detections and drop the oldest beyond maxEntries
+   * @param {Object[]} detections - { tweetId, username, verdict, category, confidence,
+   *   reasons, timestamp, url }
+   */
+  async add(detections) {
+    const db = await this.open();
+    await this.transaction(db, 'readwrite', store => {
+      detections.forEach(detection => store.add(detection));
+    });
+    await this.prune();
+  }
+
+  /**
+   * Every stored detection, newest first
+   * @returns {Promise<Object[]>}
+   */
+  async getAll() {
+    const db = await this.open();
+    let detections = [];
+    await this.transaction(db, 'readonly', store => {
+      const request = store.index('timestamp').getAll();
+      request.onsuccess = () => {
+        detections = request.result.reverse();
+      };
+    });
+    return detections;
+  }
+
+  /**
+   * Number of stored detections
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const db = await this.open();
+    let count = 0;
+    await this.transaction(db, 'readonly', store => {
+      const request = store.count();
+      request.onsuccess = () => {
+        count = request.result;
+      };
+    });
+    return count;
+  }
+
+  /**
+   * Remove every detection
+   */
+  async clear() {
+    const db = await this.open();
+    await this.transaction(db, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Drop the oldest detections beyond maxEntries
+   */
+  async prune() {
+    const excess = await this.count() - this.maxEntries;
+    if (excess <= 0) return;
+
+    const db = await this.open();
+    await this.transaction(db, 'readwrite', store => {
+      let removed = 0;
+      const request = store.index('timestamp').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || removed >= excess) return;
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Run work against the store in one transaction
+   * @param {IDBDatabase} db
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with the object store; queues its requests
+   * @returns {Promise} - Resolves once the transaction completes
+   */
+  transaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(DetectionHistory.STORE, mode);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      work(tx.objectStore(DetectionHistory.STORE));
+    });
+  }
+}
+
+DetectionHistory.DB_NAME = 'aiTweetDetector';
+DetectionHistory.DB_VERSION = 1;
+DetectionHistory.STORE = 'detections';
+
+// Make the store available globally for the history page
+if (typeof window !== 'undefined') {
+  window.DetectionHistory = DetectionHistory;
+}
@@ -0,0 +1,262 @@
+/**
+ * History Page - Detection history browser
+ * Lists the flagged tweets the background worker keeps in IndexedDB (see
+ * DetectionHistory), with search, confidence and date filters and sorting.
+ * The filtered list can be exported as CSV or JSON.
+ */
+
+const PAGE_SIZE = 100; // Rows added per "Show more"
+const SEARCH_DELAY = 200; // Wait for typing to pause before filtering
+
+// Badge text for each verdict tier and detection category, as on the page
+const VERDICT_LABELS = {
+  likely_ai: 'Likely',
+  confirmed_bot: 'Confirmed'
+};
+const CATEGORY_LABELS = {
+  llm: 'LLM-written',
+  spam: 'Spam/Promo Bot',
+  lowEffort: 'Low Effort',
+  duplicate: 'Duplicate/Coordinated'
+};
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  { header: 'Date', value: detection => new Date(detection.timestamp).toISOString() },
+  { header: 'Handle', value: detection => detection.username },
+  { header: 'Verdict', value: detection => detection.verdict },
+  { header: 'Category', value: detection => detection.category },
+  { header: 'Confidence', value: detection => Math.round((detection.confidence || 0) * 100) },
+  { header: 'Reasons', value: detection => detection.reasons },
+  { header: 'Tweet ID', value: detection => detection.tweetId },
+  { header: 'URL', value: detection => detection.url }
+];
+
+const TWEET_HOSTS = ['twitter.com', 'x.com', 'mobile.twitter.com', 'www.twitter.com', 'www.x.com'];
+
+// Elements
+const searchInput = document.getElementById('searchInput');
+const minConfidence = document.getElementById('minConfidence');
+const minConfidenceValue = document.getElementById('minConfidenceValue');
+const dateFrom = document.getElementById('dateFrom');
+const dateTo = document.getElementById('dateTo');
+const sortOrder = document.getElementById('sortOrder');
+const summaryText = document.getElementById('summaryText');
+const refreshBtn = document.getElementById('refreshBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const historyRows = document.getElementById('historyRows');
+const showMoreBtn = document.getElementById('showMoreBtn');
+
+const detectionHistory = new DetectionHistory();
+let detections = []; // Newest first, as stored
+let filtered = []; // Current filter and sort applied
+let shown = 0; // Rows of filtered currently rendered
+let searchTimer = null;
+
+/**
+ * Read every detection from the store and show them
+ */
+async function loadHistory() {
+  try {
+    detections = await detectionHistory.getAll();
+  } catch (error) {
+    console.error('Error loading history:', error);
+    detections = [];
+    summaryText.textContent = 'Could not open the detection history';
+    return;
+  }
+  applyFilters();
+}
+
+/**
+ * Filter and sort the detections from the controls and render the first page
+ */
+function applyFilters() {
+  const query = searchInput.value.trim().toLowerCase().replace(/^@/, '');
+  const min = Number(minConfidence.value) / 100;
+  const from = dateFrom.value ? new Date(`${dateFrom.value}T00:00:00`).getTime() : -Infinity;
+  const to = dateTo.value ? new Date(`${dateTo.value}T23:59:59.999`).getTime() : Infinity;
+
+  filtered = detections.filter(detection =>
+    (detection.confidence || 0) >= min &&
+    detection.timestamp >= from &&
+    detection.timestamp <= to &&
+    (!query || matchesQuery(detection, query))
+  );
+  sortDetections(filtered, sortOrder.value);
+
+  historyRows.textContent = '';
+  shown = 0;
+  renderMore();
+}
+
+/**
+ * Whether a detection's handle or one of its reasons contains the query
+ */
+function matchesQuery(detection, query) {
+  return String(detection.username || '').toLowerCase().includes(query) ||
+    (detection.reasons || []).some(reason => String(reason).toLowerCase().includes(query));
+}
+
+/**
+ * Sort detections in place
+ * @param {string} order - newest, oldest, confidence or handle
+ */
+function sortDetections(list, order) {
+  const byNewest = (a, b) => b.timestamp - a.timestamp;
+  const comparators = {
+    newest: byNewest,
+    oldest: (a, b) => a.timestamp - b.timestamp,
+    confidence: (a, b) => (b.confidence || 0) - (a.confidence || 0) || byNewest(a, b),
+    handle: (a, b) => String(a.username || '').localeCompare(String(b.username || '')) || byNewest(a, b)
+  };
+  list.sort(comparators[order] || byNewest);
+}
+
+/**
+ * Append the next page of filtered detections
+ */
+function renderMore() {
+  if (filtered.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'empty';
+    cell.textContent = detections.length === 0
+      ? 'No detections yet. Flagged tweets appear here as you browse.'
+      : 'No detections match these filters.';
+    row.appendChild(cell);
+    historyRows.appendChild(row);
+  }
+
+  const page = filtered.slice(shown, shown + PAGE_SIZE);
+  page.forEach(detection => historyRows.appendChild(createRow(detection)));
+  shown += page.length;
+
+  showMoreBtn.hidden = shown >= filtered.length;
+  summaryText.textContent = filtered.length === detections.length
+    ? `${detections.length} detections`
+    : `${filtered.length} of ${detections.length} detections`;
+}
+
+/**
+ * Table row for one detection. Handles and reasons come from the page, so
+ * everything is set as text.
+ */
+function createRow(detection) {
+  const row = document.createElement('tr');
+
+  const date = document.createElement('td');
+  date.className = 'date';
+  date.textContent = new Date(detection.timestamp).toLocaleString();
+  row.appendChild(date);
+
+  const account = document.createElement('td');
+  account.className = 'account';
+  account.textContent = detection.username ? `@${detection.username}` : 'Unknown';
+  row.appendChild(account);
+
+  const verdict = document.createElement('td');
+  const label = document.createElement('span');
+  label.className = `verdict ${detection.verdict === 'confirmed_bot' ? 'confirmed_bot' : ''}`.trim();
+  label.textContent = `${VERDICT_LABELS[detection.verdict] || ''} ${CATEGORY_LABELS[detection.category] || 'AI Generated'}`.trim();
+  verdict.appendChild(label);
+  row.appendChild(verdict);
+
+  const confidence = document.createElement('td');
+  confidence.className = 'confidence';
+  confidence.textContent = `${Math.round((detection.confidence || 0) * 100)}%`;
+  row.appendChild(confidence);
+
+  const reasons = document.createElement('td');
+  const list = document.createElement('ul');
+  (detection.reasons || []).forEach(reason => {
+    const item = document.createElement('li');
+    item.textContent = reason;
+    list.appendChild(item);
+  });
+  reasons.appendChild(list);
+  row.appendChild(reasons);
+
+  const link = document.createElement('td');
+  const url = getSafeUrl(detection.url);
+  if (url) {
+    const anchor = document.createElement('a');
+    anchor.href = url.href;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.textContent = url.pathname.includes('/status/') ? 'Open tweet' : 'Open page';
+    link.appendChild(anchor);
+  }
+  row.appendChild(link);
+
+  return row;
+}
+
+/**
+ * Parse a stored URL, if it points at Twitter/X over https
+ * @returns {URL|null}
+ */
+function getSafeUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && TWEET_HOSTS.includes(url.hostname) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Download the detections matching the current filters, in their current order
+ * @param {string} type - 'csv' or 'json'
+ */
+function exportHistory(type) {
+  if (type === 'csv') {
+    downloadFile(exportFileName('history', 'csv'), toCSV(filtered, CSV_COLUMNS), 'text/csv');
+    return;
+  }
+
+  const data = {
+    format: 'ai-tweet-detector-history',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    detections: filtered.map(({ id, ...detection }) => detection)
+  };
+  downloadFile(exportFileName('history', 'json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Remove every stored detection
+ */
+async function clearHistory() {
+  if (!confirm('Are you sure you want to delete the whole detection history?')) {
+    return;
+  }
+
+  try {
+    await detectionHistory.clear();
+  } catch (error) {
+    console.error('Error clearing history:', error);
+  }
+  loadHistory();
+}
+
+// Event listeners
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(applyFilters, SEARCH_DELAY);
+});
+minConfidence.addEventListener('input', () => {
+  minConfidenceValue.textContent = `${minConfidence.value}%`;
+  applyFilters();
+});
+[dateFrom, dateTo, sortOrder].forEach(input => input.addEventListener('change', applyFilters));
+refreshBtn.addEventListener('click', loadHistory);
+exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+clearHistoryBtn.addEventListener('click', clearHistory);
+showMoreBtn.addEventListener('click', renderMore);
+
+loadHistory();
@@ -0,0 +1,45 @@
+/**
+ * Offscreen Document - Hosts the detector worker
+ * The background service worker cannot start workers of its own, so it opens
+ * this page and forwards detector calls to it.
+ */
+
+const worker = new Worker('detector-worker.js');
+const pendingCalls = new Map(); // Call ID -> sendResponse of the waiting message
+let nextCallId = 1;
+
+worker.onmessage = (event) => {
+  const { id, result, error } = event.data;
+  const sendResponse = pendingCalls.get(id);
+  if (!sendResponse) return;
+
+  pendingCalls.delete(id);
+  sendResponse(error ? { error } : { result });
+};
+
+// A worker that fails to start answers nothing, so fail the waiting calls;
+// workerFailed asks the background script to replace this document
+worker.onerror = (event) => {
+  console.error('Detector worker failed:', event.message);
+  pendingCalls.forEach(sendResponse => sendResponse({ error: event.message || 'Detector worker failed', workerFailed: true }));
+  pendingCalls.clear();
+};
+
+// Only calls forwarded by the background script; tabs' own messages reach this page too
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen' || request.type !== 'DETECTOR_CALL') {
+    return false;
+  }
+
+  const id = nextCallId++;
+  pendingCalls.set(id, sendResponse);
+  worker.postMessage({
+    id,
+    method: request.method,
+    args: request.args,
+    tierThresholds: request.tierThresholds,
+    detectorState: request.detectorState
+  });
+
+  return true; // Keep channel open for async response
+});
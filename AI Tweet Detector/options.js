@@ -0,0 +1,799 @@
+/**
+ * Options Page - Pattern editor
+ * Shows every word, phrase and regex list of ai-patterns.json. Entries can be
+ * added or removed and each list's signal weight scaled; the changes are
+ * saved as overrides (patternOverrides in chrome.storage.local) that
+ * AIDetector merges over the bundled file whenever it loads its patterns.
+ * The Backup section exports and imports settings, account lists and these
+ * overrides as one file, and exports the feedback labels.
+ */
+
+// Editable lists: path in ai-patterns.json, how the detector matches an entry
+// (word, phrase, regex or handle) and the signal the list feeds
+const PATTERN_LISTS = [
+  { path: 'aiIndicatorWords', label: 'AI words', group: 'AI language', match: 'word', signal: 'aiWords' },
+  { path: 'aiPhrasePatterns', label: 'AI phrases', group: 'AI language', match: 'regex', flags: 'i', signal: 'aiPhrases' },
+  { path: 'structuralPatterns.threadStarters', label: 'Thread starters', group: 'Structure', match: 'phrase', signal: 'threadStarter' },
+  { path: 'structuralPatterns.formalConclusions', label: 'Formal conclusions', group: 'Structure', match: 'phrase', signal: 'formalConclusion' },
+  { path: 'structuralPatterns.citationPatterns', label: 'Citations', group: 'Structure', match: 'regex', flags: '', signal: 'citations' },
+  { path: 'structuralPatterns.legalTerms', label: 'Legal terms', group: 'Structure', match: 'phrase', signal: 'legalJargon' },
+  { path: 'structuralPatterns.sourceNames', label: 'News sources', group: 'Structure', match: 'phrase', signal: 'multipleSources' },
+  { path: 'structuralPatterns.balancedPhrases', label: 'Balanced commentary', group: 'Structure', match: 'phrase', signal: 'balancedCommentary' },
+  { path: 'structuralPatterns.conversationalHooks', label: 'Conversational hooks', group: 'Structure', match: 'regex', flags: 'i', signal: 'conversationalHook' },
+  { path: 'spamIndicators.genericResponses', label: 'Generic replies', group: 'Spam', match: 'phrase', signal: 'genericResponse' },
+  { path: 'spamIndicators.cryptoKeywords', label: 'Crypto keywords', group: 'Spam', match: 'phrase', signal: 'cryptoSpam' },
+  { path: 'spamIndicators.adultContentKeywords', label: 'Adult promo keywords', group: 'Spam', match: 'phrase', signal: 'adultPromo' },
+  { path: 'spamIndicators.promotionalPhrases', label: 'Promotional phrases', group: 'Spam', match: 'phrase', signal: 'promotional' },
+  { path: 'spamIndicators.suspiciousLinkPatterns', label: 'Suspicious links', group: 'Spam', match: 'regex', flags: 'i', signal: 'suspiciousLinks' },
+  { path: 'lowEffortPatterns.shallowPatterns', label: 'Shallow replies', group: 'Low effort', match: 'regex', flags: 'i', signal: 'shallowComment' },
+  { path: 'stylometricFeatures.formalWords', label: 'Formal words', group: 'Style', match: 'phrase', signal: 'highFormality' },
+  { path: 'stylometricFeatures.contractions', label: 'Contractions', group: 'Style', match: 'phrase', signal: 'highFormality' },
+  { path: 'stylometricFeatures.slang', label: 'Slang', group: 'Style', match: 'phrase', signal: 'highFormality' },
+  { path: 'accountPatterns.suspiciousNamePatterns', label: 'Suspicious usernames', group: 'Accounts', match: 'regex', flags: '', signal: 'suspiciousName' },
+  { path: 'accountPatterns.knownAIBots', label: 'Official AI bot accounts', group: 'Accounts', match: 'handle' },
+  { path: 'languageProfile.stopwords', label: 'Stopwords (language detection)', group: 'Language', match: 'word' }
+];
+
+const TEST_DELAY = 300; // Wait for typing to pause before scoring the test text
+
+const BUNDLE_FORMAT = 'ai-tweet-detector-settings';
+const ACCOUNT_LIST_LABELS = {
+  trusted: 'Trusted accounts',
+  bots: 'Bot accounts',
+  ignored: 'Ignored accounts'
+};
+const DEFAULT_TIERS = [0.3, 0.6, 0.9]; // Possibly AI, Likely AI and AI Bot thresholds
+
+// Columns of the feedback label CSV export
+const LABEL_CSV_COLUMNS = [
+  { header: 'Date', value: label => new Date(label.timestamp).toISOString() },
+  { header: 'Tweet ID', value: label => label.tweetId },
+  { header: 'Handle', value: label => label.username },
+  { header: 'Label', value: label => label.label },
+  { header: 'Category', value: label => label.category },
+  { header: 'Verdict', value: label => label.verdict },
+  { header: 'Confidence', value: label => Math.round((label.confidence || 0) * 100) },
+  { header: 'Text', value: label => label.text }
+];
+
+// Elements
+const patternLists = document.getElementById('patternLists');
+const testText = document.getElementById('testText');
+const testUsername = document.getElementById('testUsername');
+const testResult = document.getElementById('testResult');
+const saveStatus = document.getElementById('saveStatus');
+const saveBtn = document.getElementById('saveBtn');
+const discardBtn = document.getElementById('discardBtn');
+const resetAllBtn = document.getElementById('resetAllBtn');
+const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+const importSettingsBtn = document.getElementById('importSettingsBtn');
+const importSettingsFile = document.getElementById('importSettingsFile');
+const importPreview = document.getElementById('importPreview');
+const importSummary = document.getElementById('importSummary');
+const importChanges = document.getElementById('importChanges');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const exportLabelsCsvBtn = document.getElementById('exportLabelsCsvBtn');
+const exportLabelsJsonBtn = document.getElementById('exportLabelsJsonBtn');
+const backupStatus = document.getElementById('backupStatus');
+
+const detector = new AIDetector(); // Scores the test text with the draft overrides
+let bundled = null; // ai-patterns.json as shipped
+let saved = createEmptyOverrides(); // Overrides in storage
+let draft = createEmptyOverrides(); // Overrides being edited
+let firing = {}; // List path -> entries that match the test text
+let testTimer = null;
+let bundleSchema = null; // settings-bundle.schema.json
+let pendingImport = null; // { sync, local } values an import will write, while previewed
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const [patterns, schema, stored, syncStored] = await Promise.all([
+      detector.fetchJSON('ai-patterns.json'),
+      detector.fetchJSON('settings-bundle.schema.json'),
+      chrome.storage.local.get(['patternOverrides']),
+      chrome.storage.sync.get(['settings'])
+    ]);
+    bundled = patterns;
+    bundleSchema = schema;
+    saved = normalizeOverrides(stored.patternOverrides);
+    draft = cloneOverrides(saved);
+
+    const settings = syncStored.settings || {};
+    detector.setTierThresholds({
+      uncertain: settings.uncertainThreshold,
+      likelyAI: settings.confidenceThreshold,
+      confirmedBot: settings.botThreshold
+    });
+  } catch (error) {
+    console.error('Error loading patterns:', error);
+    saveStatus.textContent = 'Could not load ai-patterns.json';
+    return;
+  }
+
+  renderLists();
+});
+
+function createEmptyOverrides() {
+  return { lists: {}, weights: {} };
+}
+
+function normalizeOverrides(overrides) {
+  return { lists: { ...(overrides && overrides.lists) }, weights: { ...(overrides && overrides.weights) } };
+}
+
+function cloneOverrides(overrides) {
+  return JSON.parse(JSON.stringify(overrides));
+}
+
+function isEmptyOverrides(overrides) {
+  return Object.keys(overrides.lists).length === 0 && Object.keys(overrides.weights).length === 0;
+}
+
+/**
+ * A list from a pattern set by its path, e.g. "spamIndicators.cryptoKeywords"
+ */
+function getBundledList(path) {
+  return path.split('.').reduce((node, key) => node && node[key], bundled) || [];
+}
+
+/**
+ * A list as the detector will see it: bundled entries minus removed, plus added
+ */
+function getEffectiveList(path) {
+  const { add = [], remove = [] } = draft.lists[path] || {};
+  return [...new Set([...getBundledList(path).filter(entry => !remove.includes(entry)), ...add])];
+}
+
+/**
+ * Why an entry can't be added to a list, or null if it can
+ */
+function validateEntry(item, value) {
+  if (!value) return 'Enter an entry';
+  if (getEffectiveList(item.path).includes(value)) return 'Already in the list';
+  return checkEntrySyntax(item, value);
+}
+
+/**
+ * Why an entry can't be matched the way its list is, or null if it can
+ */
+function checkEntrySyntax(item, value) {
+  if (item.match === 'regex') {
+    try {
+      new RegExp(value, item.flags);
+    } catch (error) {
+      return `Invalid regex: ${error.message}`;
+    }
+  } else if (item.match === 'handle' && (!/^@?[A-Za-z0-9_*]+$/.test(value) || /^@?\*+$/.test(value))) {
+    return 'Use a handle: letters, digits, _ and * as a wildcard';
+  }
+  return null;
+}
+
+function addEntry(item, value) {
+  const override = draft.lists[item.path] || (draft.lists[item.path] = { add: [], remove: [] });
+  if (override.remove.includes(value)) {
+    override.remove = override.remove.filter(entry => entry !== value);
+  } else {
+    override.add.push(value);
+  }
+  cleanListOverride(item.path);
+}
+
+function removeEntry(item, value) {
+  const override = draft.lists[item.path] || (draft.lists[item.path] = { add: [], remove: [] });
+  if (override.add.includes(value)) {
+    override.add = override.add.filter(entry => entry !== value);
+  } else {
+    override.remove.push(value);
+  }
+  cleanListOverride(item.path);
+}
+
+function cleanListOverride(path) {
+  const override = draft.lists[path];
+  if (override && override.add.length === 0 && override.remove.length === 0) {
+    delete draft.lists[path];
+  }
+}
+
+/**
+ * Set a signal's weight multiplier; 1 (the model's own weight) removes the override
+ */
+function setWeightScale(signal, value) {
+  const scale = parseFloat(value);
+  if (!Number.isFinite(scale) || scale < 0 || scale === 1) {
+    delete draft.weights[signal];
+  } else {
+    draft.weights[signal] = scale;
+  }
+}
+
+/**
+ * Render every list, grouped as in PATTERN_LISTS
+ * @param {string} [focusPath] - List whose add box gets the focus back
+ */
+function renderLists(focusPath = null) {
+  patternLists.textContent = '';
+  let group = null;
+
+  for (const item of PATTERN_LISTS) {
+    if (item.group !== group) {
+      group = item.group;
+      const title = document.createElement('div');
+      title.className = 'section-title';
+      title.textContent = group;
+      patternLists.appendChild(title);
+    }
+    patternLists.appendChild(createListCard(item));
+  }
+
+  if (focusPath) {
+    const input = patternLists.querySelector(`input[data-path="${focusPath}"]`);
+    if (input) input.focus();
+  }
+  updateSaveStatus();
+}
+
+function createListCard(item) {
+  const card = document.createElement('div');
+  card.className = 'list-card';
+  const entries = getEffectiveList(item.path);
+  const override = draft.lists[item.path] || { add: [], remove: [] };
+
+  // Header: name, counts, weight and reset
+  const header = document.createElement('div');
+  header.className = 'list-header';
+  const title = document.createElement('span');
+  title.className = 'list-title';
+  title.textContent = item.label;
+  const meta = document.createElement('span');
+  meta.className = 'list-meta';
+  meta.textContent = `${entries.length} ${item.match === 'regex' ? 'regexes' : 'entries'}` +
+    (item.signal ? ` · signal ${item.signal}` : '');
+  header.append(title, meta);
+
+  if (item.signal) {
+    const weight = document.createElement('label');
+    weight.className = 'list-weight';
+    weight.title = 'Multiplies the signal\'s weights from ai-model.json; lists feeding the same signal share it';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.1';
+    input.value = draft.weights[item.signal] ?? 1;
+    input.addEventListener('change', () => {
+      setWeightScale(item.signal, input.value);
+      renderLists();
+      scheduleTest();
+    });
+    weight.append('Weight ×', input);
+    header.appendChild(weight);
+  }
+
+  if (draft.lists[item.path]) {
+    const reset = document.createElement('button');
+    reset.className = 'button button-link';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => {
+      delete draft.lists[item.path];
+      renderLists();
+      scheduleTest();
+    });
+    header.appendChild(reset);
+  }
+  card.appendChild(header);
+
+  // Entries, user additions and test matches marked
+  const list = document.createElement('div');
+  list.className = 'entries';
+  const matches = firing[item.path] || new Set();
+  for (const entry of entries) {
+    const chip = document.createElement('span');
+    chip.className = 'entry';
+    chip.classList.toggle('regex', item.match === 'regex');
+    chip.classList.toggle('added', override.add.includes(entry));
+    chip.classList.toggle('fires', matches.has(entry));
+    chip.append(entry);
+
+    const remove = document.createElement('button');
+    remove.title = 'Remove';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      removeEntry(item, entry);
+      renderLists();
+      scheduleTest();
+    });
+    chip.appendChild(remove);
+    list.appendChild(chip);
+  }
+  card.appendChild(list);
+
+  if (override.remove.length > 0) {
+    const note = document.createElement('div');
+    note.className = 'removed-note';
+    note.textContent = `Removed from the bundled list: ${override.remove.join(', ')}`;
+    card.appendChild(note);
+  }
+
+  card.appendChild(createAddRow(item));
+  return card;
+}
+
+/**
+ * Input for a new entry, validated as it is typed
+ */
+function createAddRow(item) {
+  const wrapper = document.createElement('div');
+  const row = document.createElement('div');
+  row.className = 'add-row';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.dataset.path = item.path;
+  input.spellcheck = false;
+  input.placeholder = item.match === 'regex' ? 'Add a regex' : item.match === 'handle' ? 'Add a handle' : 'Add an entry';
+  const button = document.createElement('button');
+  button.className = 'button button-secondary';
+  button.textContent = 'Add';
+  button.disabled = true;
+  const error = document.createElement('div');
+  error.className = 'add-error';
+
+  const check = () => {
+    const value = input.value.trim();
+    const problem = value ? validateEntry(item, value) : null;
+    input.classList.toggle('invalid', Boolean(problem));
+    error.textContent = problem || '';
+    button.disabled = !value || Boolean(problem);
+    return value && !problem ? value : null;
+  };
+  const add = () => {
+    const value = check();
+    if (!value) return;
+    addEntry(item, item.match === 'handle' ? value.replace(/^@/, '').toLowerCase() : value);
+    renderLists(item.path);
+    scheduleTest();
+  };
+
+  input.addEventListener('input', check);
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') add();
+  });
+  button.addEventListener('click', add);
+
+  row.append(input, button);
+  wrapper.append(row, error);
+  return wrapper;
+}
+
+function updateSaveStatus() {
+  const unsaved = JSON.stringify(draft) !== JSON.stringify(saved);
+  saveStatus.textContent = unsaved
+    ? 'Unsaved changes'
+    : isEmptyOverrides(saved) ? 'Using the bundled patterns' : 'Saved. Open Twitter/X tabs rescan with these patterns.';
+  saveStatus.classList.toggle('unsaved', unsaved);
+  saveBtn.disabled = !unsaved;
+  discardBtn.disabled = !unsaved;
+}
+
+/**
+ * Whether one entry matches the test text (or username, for account lists),
+ * the way the detector matches that list
+ */
+function entryFires(item, entry, text, username) {
+  if (item.path.startsWith('accountPatterns.')) {
+    if (!username) return false;
+    if (item.match === 'handle') {
+      const list = detector.compileAccountList([entry]);
+      const handle = detector.normalizeHandle(username);
+      return list.handles.has(handle) || list.wildcards.some(regex => regex.test(handle));
+    }
+    return new RegExp(entry, item.flags).test(username.replace(/^@/, ''));
+  }
+
+  switch (item.match) {
+    case 'word': return detector.compileWordList([entry]).test(text);
+    case 'regex': return new RegExp(entry, item.flags).test(text);
+    default: return text.toLowerCase().includes(entry.toLowerCase());
+  }
+}
+
+function scheduleTest() {
+  clearTimeout(testTimer);
+  testTimer = setTimeout(runTest, TEST_DELAY);
+}
+
+/**
+ * Mark the entries that match the test text and score it with the draft
+ */
+async function runTest() {
+  const text = testText.value;
+  const username = testUsername.value.trim();
+
+  firing = {};
+  for (const item of PATTERN_LISTS) {
+    firing[item.path] = new Set(getEffectiveList(item.path).filter(entry => {
+      try {
+        return entryFires(item, entry, text, username);
+      } catch (error) {
+        return false; // A broken bundled regex; the detector skips it too
+      }
+    }));
+  }
+  renderLists();
+
+  testResult.textContent = '';
+  if (!text.trim()) return;
+
+  try {
+    await detector.ready;
+    await detector.setPatternOverrides(isEmptyOverrides(draft) ? null : draft);
+
+    // Scored without touching the duplicate index or posting history
+    const features = detector.extractFeatures(text, { username }, { record: false });
+    const score = detector.calculateAIScore(features);
+    const verdict = detector.getVerdict(score.confidence);
+
+    const summary = document.createElement('div');
+    summary.className = 'test-score';
+    summary.textContent = `${Math.round(score.confidence * 100)}% ${score.category} (${verdict.replace('_', ' ')})`;
+    testResult.appendChild(summary);
+
+    if (features.patternLanguage !== bundled.language) {
+      const note = document.createElement('div');
+      note.className = 'test-note';
+      note.textContent = `Detected language: ${features.language}. Language-specific lists here only apply to ${bundled.language} tweets.`;
+      testResult.appendChild(note);
+    }
+
+    const signals = score.breakdown.signals.filter(entry => entry.contribution !== 0);
+    const list = document.createElement('ul');
+    for (const entry of signals) {
+      const line = document.createElement('li');
+      line.textContent = `${entry.reason || entry.name}: ${entry.contribution >= 0 ? '+' : ''}${entry.contribution.toFixed(2)}`;
+      list.appendChild(line);
+    }
+    if (signals.length === 0) {
+      const line = document.createElement('li');
+      line.textContent = `No ${score.category} signals fired`;
+      list.appendChild(line);
+    }
+    testResult.appendChild(list);
+  } catch (error) {
+    console.error('Error scoring test text:', error);
+    testResult.textContent = 'Could not score the text';
+  }
+}
+
+/**
+ * Save the draft; the detector in each tab and the worker reload their patterns
+ */
+async function saveOverrides() {
+  try {
+    if (isEmptyOverrides(draft)) {
+      await chrome.storage.local.remove('patternOverrides');
+    } else {
+      await chrome.storage.local.set({ patternOverrides: draft });
+    }
+    saved = cloneOverrides(draft);
+    updateSaveStatus();
+  } catch (error) {
+    console.error('Error saving pattern overrides:', error);
+    saveStatus.textContent = 'Error saving patterns';
+  }
+}
+
+/**
+ * Download the stored settings, account lists and saved pattern overrides
+ * as one file. Unsaved pattern edits are not included.
+ */
+async function exportSettings() {
+  try {
+    const [syncStored, localStored] = await Promise.all([
+      chrome.storage.sync.get(['settings']),
+      chrome.storage.local.get(['accountLists', 'patternOverrides'])
+    ]);
+
+    // Only keys the schema knows, so the file imports back cleanly
+    const known = Object.keys(bundleSchema.properties.settings.properties);
+    const settings = Object.fromEntries(
+      Object.entries(syncStored.settings || {}).filter(([key]) => known.includes(key))
+    );
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      settings,
+      accountLists: { trusted: [], bots: [], ignored: [], ...localStored.accountLists },
+      patternOverrides: normalizeOverrides(localStored.patternOverrides)
+    };
+    downloadFile(exportFileName('settings', 'json'), JSON.stringify(bundle, null, 2), 'application/json');
+    backupStatus.textContent = JSON.stringify(draft) !== JSON.stringify(saved)
+      ? 'Exported. Unsaved pattern changes are not in the file.'
+      : 'Exported.';
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    backupStatus.textContent = 'Error exporting settings';
+  }
+}
+
+/**
+ * Download the feedback labels ("AI" / "Not AI" answers)
+ * @param {string} type - 'csv' or 'json'
+ */
+async function exportFeedbackLabels(type) {
+  try {
+    const { feedbackLabels = [] } = await chrome.storage.local.get(['feedbackLabels']);
+    if (type === 'csv') {
+      downloadFile(exportFileName('labels', 'csv'), toCSV(feedbackLabels, LABEL_CSV_COLUMNS), 'text/csv');
+    } else {
+      const data = {
+        format: 'ai-tweet-detector-labels',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        labels: feedbackLabels
+      };
+      downloadFile(exportFileName('labels', 'json'), JSON.stringify(data, null, 2), 'application/json');
+    }
+    backupStatus.textContent = `Exported ${feedbackLabels.length} feedback labels.`;
+  } catch (error) {
+    console.error('Error exporting feedback labels:', error);
+    backupStatus.textContent = 'Error exporting feedback labels';
+  }
+}
+
+/**
+ * Read a settings file, validate it and preview what importing it would change
+ */
+async function previewImport(file) {
+  pendingImport = null;
+  if (!bundleSchema) return; // Page failed to load
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (error) {
+    showImportPreview('This is not a JSON file', [error.message], false);
+    return;
+  }
+
+  const errors = detector.validatePatterns(bundle, bundleSchema);
+  if (errors.length > 0) {
+    showImportPreview('This file does not match the settings format', errors, false);
+    return;
+  }
+
+  try {
+    const [syncStored, localStored] = await Promise.all([
+      chrome.storage.sync.get(['settings']),
+      chrome.storage.local.get(['accountLists', 'patternOverrides'])
+    ]);
+    const plan = planImport(bundle, { ...syncStored, ...localStored });
+    if (plan.errors.length > 0) {
+      showImportPreview('This file has settings that cannot be used', plan.errors, false);
+    } else if (plan.changes.length === 0) {
+      showImportPreview('Nothing to import: these settings match yours', [], false);
+    } else {
+      pendingImport = plan.values;
+      showImportPreview(`Importing ${file.name} will change:`, plan.changes, true);
+    }
+  } catch (error) {
+    console.error('Error reading current settings:', error);
+    showImportPreview('Could not read your current settings', [error.message], false);
+  }
+}
+
+/**
+ * Merge a validated bundle over the stored values, key by key
+ * @param {Object} bundle - Settings file, already checked against the schema
+ * @param {Object} current - Stored settings, accountLists and patternOverrides
+ * @returns {Object} - { values: { sync, local } to write, changes: string[], errors: string[] }
+ */
+function planImport(bundle, current) {
+  const values = { sync: {}, local: {} };
+  const changes = [];
+  const errors = [];
+
+  if (bundle.settings) {
+    const before = current.settings || {};
+    const after = {
+      ...before,
+      ...bundle.settings,
+      displayModes: { ...before.displayModes, ...bundle.settings.displayModes }
+    };
+
+    const tiers = ['uncertainThreshold', 'confidenceThreshold', 'botThreshold']
+      .map((key, index) => after[key] !== undefined ? after[key] : DEFAULT_TIERS[index]);
+    if (tiers[0] > tiers[1] || tiers[1] > tiers[2]) {
+      errors.push('Thresholds must increase: Possibly AI ≤ Likely AI ≤ AI Bot');
+    }
+
+    for (const key of Object.keys(bundle.settings)) {
+      if (key === 'displayModes') {
+        for (const tier of Object.keys(bundle.settings.displayModes)) {
+          describeChange(changes, `Display mode for ${tier}`, (before.displayModes || {})[tier], after.displayModes[tier]);
+        }
+      } else {
+        describeChange(changes, `Setting ${key}`, before[key], after[key]);
+      }
+    }
+    values.sync.settings = after;
+  }
+
+  if (bundle.accountLists) {
+    const before = current.accountLists || {};
+    for (const [name, handles] of Object.entries(bundle.accountLists)) {
+      const previous = before[name] || [];
+      const added = handles.filter(handle => !previous.includes(handle));
+      const removed = previous.filter(handle => !handles.includes(handle));
+      if (added.length > 0 || removed.length > 0) {
+        changes.push(`${ACCOUNT_LIST_LABELS[name]}: ${describeEntries(added, removed)}`);
+      }
+    }
+    values.local.accountLists = { ...before, ...bundle.accountLists };
+  }
+
+  if (bundle.patternOverrides) {
+    const before = normalizeOverrides(current.patternOverrides);
+    const { lists = {}, weights = {} } = bundle.patternOverrides;
+
+    for (const [path, override] of Object.entries(lists)) {
+      const item = PATTERN_LISTS.find(list => list.path === path);
+      if (!item) {
+        errors.push(`Unknown pattern list "${path}"`);
+        continue;
+      }
+      override.add.forEach(entry => {
+        const error = checkEntrySyntax(item, entry);
+        if (error) errors.push(`${item.label}: "${entry}": ${error}`);
+      });
+
+      const previous = before.lists[path] || { add: [], remove: [] };
+      const added = override.add.filter(entry => !previous.add.includes(entry));
+      const removed = override.remove.filter(entry => !previous.remove.includes(entry));
+      const restored = [
+        ...previous.add.filter(entry => !override.add.includes(entry)),
+        ...previous.remove.filter(entry => !override.remove.includes(entry))
+      ];
+      if (added.length > 0 || removed.length > 0 || restored.length > 0) {
+        const parts = [describeEntries(added, removed)];
+        if (restored.length > 0) parts.push(`undoes ${restored.length} earlier change${restored.length === 1 ? '' : 's'}`);
+        changes.push(`${item.label}: ${parts.filter(Boolean).join(', ')}`);
+      }
+    }
+
+    for (const [signal, scale] of Object.entries(weights)) {
+      if (!bundled.scoring.signals[signal]) {
+        errors.push(`Unknown signal "${signal}"`);
+        continue;
+      }
+      describeChange(changes, `Weight of ${signal}`, before.weights[signal] !== undefined ? before.weights[signal] : 1, scale);
+    }
+
+    values.local.patternOverrides = {
+      lists: { ...before.lists, ...lists },
+      weights: { ...before.weights, ...weights }
+    };
+  }
+
+  return { values, changes, errors };
+}
+
+function describeChange(changes, label, before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  const format = value => value === undefined ? 'not set' : JSON.stringify(value);
+  changes.push(`${label}: ${format(before)} → ${format(after)}`);
+}
+
+/**
+ * e.g. "adds a, b; removes c", with long lists shortened
+ */
+function describeEntries(added, removed) {
+  const list = entries => entries.length > 5
+    ? `${entries.slice(0, 5).join(', ')} and ${entries.length - 5} more`
+    : entries.join(', ');
+  const parts = [];
+  if (added.length > 0) parts.push(`adds ${list(added)}`);
+  if (removed.length > 0) parts.push(`removes ${list(removed)}`);
+  return parts.join('; ');
+}
+
+/**
+ * Show the import preview. Lines come from the file, so they are set as text.
+ * @param {boolean} canApply - Whether the Apply button is offered
+ */
+function showImportPreview(summary, lines, canApply) {
+  importSummary.textContent = summary;
+  importChanges.textContent = '';
+  lines.slice(0, 50).forEach(text => {
+    const line = document.createElement('li');
+    line.textContent = text;
+    importChanges.appendChild(line);
+  });
+  if (lines.length > 50) {
+    const line = document.createElement('li');
+    line.textContent = `and ${lines.length - 50} more`;
+    importChanges.appendChild(line);
+  }
+  importPreview.classList.toggle('invalid', !canApply && lines.length > 0);
+  applyImportBtn.hidden = !canApply;
+  importPreview.hidden = false;
+  backupStatus.textContent = '';
+}
+
+function hideImportPreview() {
+  pendingImport = null;
+  importPreview.hidden = true;
+}
+
+/**
+ * Write the previewed import; every other stored key stays as it is.
+ * Tabs pick the changes up from chrome.storage.onChanged.
+ */
+async function applyImport() {
+  if (!pendingImport) return;
+  const { sync, local } = pendingImport;
+  const unsaved = JSON.stringify(draft) !== JSON.stringify(saved);
+  if (local.patternOverrides && unsaved &&
+    !confirm('Importing replaces your unsaved pattern changes. Continue?')) {
+    return;
+  }
+
+  try {
+    if (Object.keys(sync).length > 0) {
+      await chrome.storage.sync.set(sync);
+    }
+    const { patternOverrides, ...rest } = local;
+    if (Object.keys(rest).length > 0) {
+      await chrome.storage.local.set(rest);
+    }
+    if (patternOverrides) {
+      const overrides = normalizeOverrides(patternOverrides);
+      if (isEmptyOverrides(overrides)) {
+        await chrome.storage.local.remove('patternOverrides');
+      } else {
+        await chrome.storage.local.set({ patternOverrides: overrides });
+      }
+      saved = overrides;
+      draft = cloneOverrides(saved);
+      renderLists();
+      scheduleTest();
+    }
+    hideImportPreview();
+    backupStatus.textContent = 'Imported. Open Twitter/X tabs pick up the changes.';
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    backupStatus.textContent = 'Error importing settings';
+  }
+}
+
+// Event listeners
+testText.addEventListener('input', scheduleTest);
+testUsername.addEventListener('input', scheduleTest);
+saveBtn.addEventListener('click', saveOverrides);
+discardBtn.addEventListener('click', () => {
+  draft = cloneOverrides(saved);
+  renderLists();
+  scheduleTest();
+});
+exportSettingsBtn.addEventListener('click', exportSettings);
+importSettingsBtn.addEventListener('click', () => importSettingsFile.click());
+importSettingsFile.addEventListener('change', () => {
+  const file = importSettingsFile.files[0];
+  importSettingsFile.value = ''; // So picking the same file again still fires
+  if (file) {
+    previewImport(file);
+  }
+});
+applyImportBtn.addEventListener('click', applyImport);
+cancelImportBtn.addEventListener('click', hideImportPreview);
+exportLabelsCsvBtn.addEventListener('click', () => exportFeedbackLabels('csv'));
+exportLabelsJsonBtn.addEventListener('click', () => exportFeedbackLabels('json'));
+resetAllBtn.addEventListener('click', () => {
+  if (!confirm('Remove all your pattern changes? They are only gone once you save.')) {
+    return;
+  }
+  draft = createEmptyOverrides();
+  renderLists();
+  scheduleTest();
+});
@@ -4,12 +4,34 @@
 
 // Elements
 const enableToggle = document.getElementById('enableToggle');
+const uncertainThreshold = document.getElementById('uncertainThreshold');
 const confidenceThreshold = document.getElementById('confidenceThreshold');
+const botThreshold = document.getElementById('botThreshold');
 const showConfidence = document.getElementById('showConfidence');
+const workerMode = document.getElementById('workerMode');
+const skipVerified = document.getElementById('skipVerified');
+// Display mode select per verdict tier (settings.displayModes)
+const displayModeInputs = {
+  uncertain: document.getElementById('uncertainMode'),
+  likely_ai: document.getElementById('likelyMode'),
+  confirmed_bot: document.getElementById('botMode')
+};
 const highlightColor = document.getElementById('highlightColor');
 const rescanBtn = document.getElementById('rescanBtn');
 const resetStatsBtn = document.getElementById('resetStatsBtn');
+const historyBtn = document.getElementById('historyBtn');
+// Account list textarea per list (accountLists in chrome.storage.local)
+const accountListInputs = {
+  trusted: document.getElementById('trustedAccounts'),
+  bots: document.getElementById('botAccounts'),
+  ignored: document.getElementById('ignoredAccounts')
+};
+const importTarget = document.getElementById('importTarget');
+const importAccountsBtn = document.getElementById('importAccountsBtn');
+const importAccountsFile = document.getElementById('importAccountsFile');
+const saveAccountsBtn = document.getElementById('saveAccountsBtn');
 const notification = document.getElementById('notification');
+const domWarning = document.getElementById('domWarning');
 
 // Stats elements
 const tweetsAnalyzed = document.getElementById('tweetsAnalyzed');
@@ -17,10 +39,17 @@ const aiDetected = document.getElementById('aiDetected');
 const detectionRate = document.getElementById('detectionRate');
 const avgConfidence = document.getElementById('avgConfidence');
 const progressFill = document.getElementById('progressFill');
+const categoryStats = {
+  llm: document.getElementById('categoryLlm'),
+  spam: document.getElementById('categorySpam'),
+  lowEffort: document.getElementById('categoryLowEffort'),
+  duplicate: document.getElementById('categoryDuplicate')
+};
 
 // Load settings and stats on popup open
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
+  await loadAccountLists();
   await loadStats();
   
   // Set up auto-refresh for stats
@@ -37,8 +66,15 @@ async function loadSettings() {
     if (result.settings) {
       const settings = result.settings;
       enableToggle.checked = settings.enabled !== false;
-      confidenceThreshold.value = (settings.confidenceThreshold || 0.6) * 100;
+      uncertainThreshold.value = Math.round((settings.uncertainThreshold ?? 0.3) * 100);
+      confidenceThreshold.value = Math.round((settings.confidenceThreshold || 0.6) * 100);
+      botThreshold.value = Math.round((settings.botThreshold || 0.9) * 100);
       showConfidence.checked = settings.showConfidence !== false;
+      workerMode.checked = settings.workerMode !== false;
+      skipVerified.checked = settings.skipVerified === true;
+      for (const [tier, input] of Object.entries(displayModeInputs)) {
+        input.value = (settings.displayModes && settings.displayModes[tier]) || 'highlight';
+      }
       highlightColor.value = settings.highlightColor || '#ff6b6b';
     }
   } catch (error) {
@@ -50,15 +86,35 @@ async function loadSettings() {
  * Save settings to storage
  */
 async function saveSettings() {
+  const tiers = [uncertainThreshold, confidenceThreshold, botThreshold]
+    .map(input => parseInt(input.value) / 100);
+  
+  if (tiers.some(value => isNaN(value) || value < 0 || value > 1)) {
+    showNotification('Thresholds must be between 0 and 100', 'error');
+    return;
+  }
+  if (tiers[0] > tiers[1] || tiers[1] > tiers[2]) {
+    showNotification('Thresholds must increase: Possibly AI ≤ Likely AI ≤ AI Bot', 'error');
+    return;
+  }
+  
   const settings = {
     enabled: enableToggle.checked,
-    confidenceThreshold: parseInt(confidenceThreshold.value) / 100,
+    uncertainThreshold: tiers[0],
+    confidenceThreshold: tiers[1],
+    botThreshold: tiers[2],
     showConfidence: showConfidence.checked,
+    workerMode: workerMode.checked,
+    skipVerified: skipVerified.checked,
+    displayModes: Object.fromEntries(
+      Object.entries(displayModeInputs).map(([tier, input]) => [tier, input.value])
+    ),
     highlightColor: highlightColor.value
   };
   
   try {
-    await chrome.storage.sync.set({ settings });
+    const current = await chrome.storage.sync.get(['settings']);
+    await chrome.storage.sync.set({ settings: { ...current.settings, ...settings } });
     showNotification('Settings saved!', 'success');
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -66,6 +122,100 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Load the account lists into their textareas
+ */
+async function loadAccountLists() {
+  try {
+    const result = await chrome.storage.local.get(['accountLists']);
+    const lists = result.accountLists || {};
+    for (const [name, input] of Object.entries(accountListInputs)) {
+      input.value = (lists[name] || []).join('\n');
+    }
+  } catch (error) {
+    console.error('Error loading account lists:', error);
+  }
+}
+
+/**
+ * Read handles from text: one per line, or separated by commas or spaces.
+ * Accepts @handles and profile links; * is a wildcard, but not on its own.
+ * @returns {Object} - { handles, invalid }, handles lowercased and deduplicated
+ */
+function parseAccountList(text) {
+  const handles = new Set();
+  const invalid = [];
+  
+  for (const entry of text.split(/[\s,;]+/).filter(Boolean)) {
+    const handle = entry
+      .replace(/^https?:\/\/(www\.|mobile\.)?(twitter|x)\.com\//i, '')
+      .replace(/^@/, '')
+      .split(/[/?#]/)[0]
+      .toLowerCase();
+    if (/^[a-z0-9_*]+$/.test(handle) && !/^\*+$/.test(handle)) {
+      handles.add(handle);
+    } else {
+      invalid.push(entry);
+    }
+  }
+  
+  return { handles: [...handles], invalid };
+}
+
+/**
+ * Save the account lists; tabs rescan when they change
+ */
+async function saveAccountLists() {
+  const accountLists = {};
+  const invalid = [];
+  for (const [name, input] of Object.entries(accountListInputs)) {
+    const parsed = parseAccountList(input.value);
+    accountLists[name] = parsed.handles;
+    invalid.push(...parsed.invalid);
+    input.value = parsed.handles.join('\n');
+  }
+  
+  try {
+    await chrome.storage.local.set({ accountLists });
+    showNotification(invalid.length > 0
+      ? `Lists saved, skipped ${invalid.length} invalid: ${invalid.slice(0, 3).join(', ')}`
+      : 'Account lists saved!', invalid.length > 0 ? 'error' : 'success');
+  } catch (error) {
+    console.error('Error saving account lists:', error);
+    showNotification('Error saving account lists', 'error');
+  }
+}
+
+/**
+ * Add handles from a file to the lists and save them. A JSON object with
+ * trusted, bots and ignored arrays fills each list; any other file (JSON
+ * array, text or CSV) goes into the list picked next to the Import button.
+ */
+async function importAccountLists(file) {
+  try {
+    const text = await file.text();
+    let sections = { [importTarget.value]: text };
+    
+    if (/^\s*[\[{]/.test(text)) {
+      const data = JSON.parse(text);
+      sections = Array.isArray(data)
+        ? { [importTarget.value]: data.join('\n') }
+        : Object.fromEntries(Object.keys(accountListInputs)
+          .filter(name => Array.isArray(data[name]))
+          .map(name => [name, data[name].join('\n')]));
+    }
+    
+    for (const [name, entries] of Object.entries(sections)) {
+      const input = accountListInputs[name];
+      input.value = [input.value, entries].filter(Boolean).join('\n');
+    }
+    await saveAccountLists();
+  } catch (error) {
+    console.error('Error importing account lists:', error);
+    showNotification('Could not read that file', 'error');
+  }
+}
+
 /**
  * Load statistics from content script
  */
@@ -80,6 +230,7 @@ async function loadStats() {
       detectionRate.textContent = 'Visit Twitter/X';
       avgConfidence.textContent = 'N/A';
       progressFill.style.width = '0%';
+      Object.values(categoryStats).forEach(el => { el.textContent = 'N/A'; });
       return;
     }
     
@@ -112,6 +263,39 @@ function updateStatsDisplay(stats) {
   
   const avgConf = stats.avgConfidence || 0;
   avgConfidence.textContent = `${(avgConf * 100).toFixed(1)}%`;
+  
+  const categories = stats.categories || {};
+  for (const [category, el] of Object.entries(categoryStats)) {
+    el.textContent = categories[category] || 0;
+  }
+  
+  updateDomWarning(stats.domHealth);
+}
+
+// Names of the fields the page health check tracks
+const DOM_FIELD_LABELS = {
+  text: 'tweet text',
+  username: 'usernames',
+  time: 'timestamps',
+  permalink: 'tweet links'
+};
+
+/**
+ * Warn when tweet fields stopped resolving, which usually means X changed its markup
+ */
+function updateDomWarning(health) {
+  if (!health || health.failing.length === 0) {
+    domWarning.classList.remove('show');
+    return;
+  }
+  
+  const problems = health.failing.map(field => {
+    const missed = Math.round((1 - health.fields[field].rate) * 100);
+    return `${DOM_FIELD_LABELS[field] || field} (missing on ${missed}% of recent tweets)`;
+  });
+  domWarning.textContent = `Could not read ${problems.join(', ')}. Twitter/X may have changed its page; ` +
+    `detection is less reliable until selectors.json (profile v${health.version}) is updated.`;
+  domWarning.classList.add('show');
 }
 
 /**
@@ -193,13 +377,39 @@ async function resetStats() {
 
 // Event listeners
 enableToggle.addEventListener('change', saveSettings);
+uncertainThreshold.addEventListener('change', saveSettings);
 confidenceThreshold.addEventListener('change', saveSettings);
+botThreshold.addEventListener('change', saveSettings);
 showConfidence.addEventListener('change', saveSettings);
+workerMode.addEventListener('change', saveSettings);
+skipVerified.addEventListener('change', saveSettings);
+Object.values(displayModeInputs).forEach(input => input.addEventListener('change', saveSettings));
 highlightColor.addEventListener('change', saveSettings);
+saveAccountsBtn.addEventListener('click', saveAccountLists);
+importAccountsBtn.addEventListener('click', () => importAccountsFile.click());
+importAccountsFile.addEventListener('change', () => {
+  if (importAccountsFile.files[0]) {
+    importAccountLists(importAccountsFile.files[0]);
+  }
+  importAccountsFile.value = '';
+});
 rescanBtn.addEventListener('click', rescanTweets);
 resetStatsBtn.addEventListener('click', resetStats);
+historyBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
+// About, Help, pattern editor and backup links
+document.getElementById('optionsLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+document.getElementById('backupLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('options.html#backup') });
+});
 
-// About and Help links
 document.getElementById('aboutLink').addEventListener('click', (e) => {
   e.preventDefault();
   alert('AI Tweet Detector v2.0\n\nDetects AI-generated tweets using machine learning and pattern analysis.\n\nFeatures:\n- Real-time tweet analysis\n- Pattern matching for common AI phrases\n- Stylometric analysis\n- Confidence scoring\n- Customizable detection threshold');
@@ -207,5 +417,5 @@ document.getElementById('aboutLink').addEventListener('click', (e) => {
 
 document.getElementById('helpLink').addEventListener('click', (e) => {
   e.preventDefault();
-  alert('How to use:\n\n1. Navigate to Twitter/X\n2. The extension will automatically scan tweets\n3. AI-detected tweets will be highlighted\n4. Adjust settings to customize detection\n5. Use "Rescan Tweets" to re-analyze the page\n\nTips:\n- Higher confidence threshold = fewer false positives\n- Lower threshold = more detections\n- Hover over badges to see detection reasons');
+  alert('How to use:\n\n1. Navigate to Twitter/X\n2. The extension will automatically scan tweets\n3. AI-detected tweets will be highlighted\n4. Adjust settings to customize detection\n5. Use "Rescan Tweets" to re-analyze the page\n\nTips:\n- Possibly AI tweets get a dashed outline and are not counted\n- Raise the Likely AI threshold for fewer false positives\n- Lower it for more detections\n- Hover over badges to see detection reasons');
 });
@@ -0,0 +1,152 @@
+/**
+ * Selector Profile - Where tweet parts live in the Twitter/X markup
+ * Selectors come from selectors.json, each field with fallbacks, so a markup
+ * change means editing a list rather than the content script. The profile
+ * also keeps a rolling success rate per extracted field, so a selector that
+ * stopped matching shows up as a health warning instead of silent misses.
+ */
+
+class SelectorProfile {
+  constructor() {
+    this.version = 0; // 0 = built-in defaults, until selectors.json loads
+    this.fields = SelectorProfile.DEFAULT_FIELDS;
+    this.outcomes = {}; // Field -> recent extraction results, true when the field was found
+    this.ready = this.load();
+  }
+
+  /**
+   * Load selectors.json, dropping selectors the browser cannot parse.
+   * Fields missing from the file keep their built-in selectors.
+   */
+  async load() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('selectors.json'));
+      const profile = await response.json();
+      if (!Number.isInteger(profile.version) || !profile.fields || typeof profile.fields !== 'object') {
+        throw new Error('selectors.json needs an integer version and a fields object');
+      }
+
+      const fields = { ...SelectorProfile.DEFAULT_FIELDS };
+      for (const [field, selectors] of Object.entries(profile.fields)) {
+        const valid = (Array.isArray(selectors) ? selectors : []).filter(selector => this.isValidSelector(selector));
+        if (valid.length > 0) {
+          fields[field] = valid;
+        } else {
+          console.error(`Selector profile: no usable selectors for "${field}", keeping the built-in ones`);
+        }
+      }
+
+      this.fields = fields;
+      this.version = profile.version;
+    } catch (error) {
+      console.error('Failed to load selector profile, using built-in selectors:', error);
+    }
+  }
+
+  isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      console.error(`Selector profile: invalid selector "${selector}"`);
+      return false;
+    }
+  }
+
+  /**
+   * Elements matching a field, from its first selector that matches anything
+   * under root (root itself included), so fallbacks only apply when the
+   * preferred selector finds nothing
+   */
+  queryAll(root, field) {
+    for (const selector of this.fields[field] || []) {
+      const elements = [...root.querySelectorAll(selector)];
+      if (root.matches && root.matches(selector)) {
+        elements.unshift(root);
+      }
+      if (elements.length > 0) return elements;
+    }
+    return [];
+  }
+
+  /**
+   * First element matching a field under root, skipping anything inside exclude
+   */
+  query(root, field, exclude = null) {
+    return this.queryAll(root, field).find(el => el !== root && (!exclude || !exclude.contains(el))) || null;
+  }
+
+  /**
+   * Whether an element matches any of a field's selectors
+   */
+  matches(element, field) {
+    return (this.fields[field] || []).some(selector => element.matches(selector));
+  }
+
+  /**
+   * Nearest ancestor (or the element itself) matching any of a field's selectors
+   */
+  closest(element, field) {
+    return element.closest((this.fields[field] || []).join(', '));
+  }
+
+  /**
+   * Note whether a field could be read from a tweet
+   */
+  record(field, found) {
+    const outcomes = this.outcomes[field] || (this.outcomes[field] = []);
+    outcomes.push(Boolean(found));
+    if (outcomes.length > SelectorProfile.HEALTH_WINDOW) {
+      outcomes.shift();
+    }
+  }
+
+  /**
+   * Success rate per recorded field over the last HEALTH_WINDOW tweets
+   * @returns {Object} - { version, fields: { field: { checked, rate } }, failing }, failing
+   *   lists fields read on fewer than HEALTH_MIN_RATE of at least HEALTH_MIN_SAMPLES tweets
+   */
+  getHealth() {
+    const fields = {};
+    const failing = [];
+
+    for (const [field, outcomes] of Object.entries(this.outcomes)) {
+      const rate = outcomes.filter(Boolean).length / outcomes.length;
+      fields[field] = { checked: outcomes.length, rate };
+      if (outcomes.length >= SelectorProfile.HEALTH_MIN_SAMPLES && rate < SelectorProfile.HEALTH_MIN_RATE) {
+        failing.push(field);
+      }
+    }
+
+    return { version: this.version, fields, failing };
+  }
+
+  resetHealth() {
+    this.outcomes = {};
+  }
+}
+
+// Used until selectors.json loads, and for fields it leaves out
+SelectorProfile.DEFAULT_FIELDS = {
+  tweet: ['article[data-testid="tweet"]', 'article[role="article"]'],
+  text: ['[data-testid="tweetText"]'],
+  userName: ['[data-testid="User-Name"]'],
+  time: ['time[datetime]'],
+  permalink: ['a[href*="/status/"]'],
+  verifiedIcon: ['[data-testid="icon-verified"]'],
+  quote: ['div[role="link"]'],
+  card: ['[data-testid="card.wrapper"]'],
+  media: ['[data-testid="tweetPhoto"]', '[data-testid="videoPlayer"]'],
+  cardDetail: ['[data-testid="card.layoutLarge.detail"]', '[data-testid="card.layoutSmall.detail"]']
+};
+
+// Health check: recent tweets per field, samples needed before warning, and the warning line
+SelectorProfile.HEALTH_WINDOW = 100;
+SelectorProfile.HEALTH_MIN_SAMPLES = 20;
+SelectorProfile.HEALTH_MIN_RATE = 0.5;
+
+// Make the profile available globally for content script
+if (typeof window !== 'undefined') {
+  window.SelectorProfile = SelectorProfile;
+}
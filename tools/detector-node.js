@@ -0,0 +1,117 @@
+/**
+ * Node helpers for the offline tools
+ * Loads AIDetector with its bundled JSON files read from disk instead of
+ * through chrome.runtime, and reads labeled JSONL corpora.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'AI Tweet Detector');
+const AIDetector = require(path.join(EXTENSION_DIR, 'ai-detector.js'));
+
+/**
+ * Labels a corpus line may carry: 'human' or one of AIDetector.CATEGORIES
+ */
+const LABELS = ['human', ...AIDetector.CATEGORIES];
+
+/**
+ * Create a detector that reads its files from disk
+ * @param {Object} overrides - Map of bundled file name to a replacement path,
+ *   e.g. { 'ai-model.json': '/tmp/model.json' }
+ */
+async function createDetector(overrides = {}) {
+  const detector = new AIDetector({
+    loadJSON: async (file) => readJSON(overrides[file] || path.join(EXTENSION_DIR, file))
+  });
+  await detector.ready;
+  return detector;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Read a labeled corpus: one { text, label, username?, displayName?, replyTo?, timestamp?,
+ * expectSignals? } per line
+ * replyTo is the parent tweet, as text or { text, username }; timestamp is an ISO date
+ * or milliseconds, and feeds the author's posting cadence in corpus order.
+ * expectSignals names signals the tweet must fire (checked by tools/evaluate.js)
+ */
+function readCorpus(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const examples = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let example;
+    try {
+      example = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof example.text !== 'string') {
+      throw new Error(`${file}:${index + 1}: "text" must be a string`);
+    }
+    if (example.replyTo !== undefined && typeof example.replyTo !== 'string' &&
+        (!example.replyTo || typeof example.replyTo.text !== 'string')) {
+      throw new Error(`${file}:${index + 1}: "replyTo" must be a string or { text, username }`);
+    }
+    if (example.timestamp !== undefined && !Number.isFinite(new Date(example.timestamp).getTime())) {
+      throw new Error(`${file}:${index + 1}: "timestamp" must be an ISO date or milliseconds`);
+    }
+    if (example.expectSignals !== undefined &&
+        (!Array.isArray(example.expectSignals) || example.expectSignals.some(name => typeof name !== 'string'))) {
+      throw new Error(`${file}:${index + 1}: "expectSignals" must be an array of signal names`);
+    }
+    if (!LABELS.includes(example.label)) {
+      throw new Error(`${file}:${index + 1}: "label" must be one of ${LABELS.join(', ')}`);
+    }
+    examples.push(example);
+  });
+
+  return examples;
+}
+
+/**
+ * Metadata passed to AIDetector for a corpus example
+ */
+function exampleMetadata(example) {
+  const replyTo = typeof example.replyTo === 'string' ? { text: example.replyTo } : example.replyTo;
+  return {
+    username: example.username || '',
+    displayName: example.displayName || '',
+    hasAffiliateBadge: example.hasAffiliateBadge || false,
+    replyContext: replyTo || null,
+    timestamp: example.timestamp || null
+  };
+}
+
+/**
+ * Parse "--name value" style flags; everything else is positional
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  AIDetector,
+  EXTENSION_DIR,
+  LABELS,
+  createDetector,
+  readJSON,
+  readCorpus,
+  exampleMetadata,
+  parseArgs
+};
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Evaluate AIDetector against a labeled corpus without loading the extension
+ *
+ * Usage:
+ *   node tools/evaluate.js [corpus.jsonl] [--thresholds 0.3,0.6,0.9] [--min-f1 0.5] [--verbose true]
+ *
+ * A tweet counts as AI when its label is anything other than "human", and is
+ * predicted AI when its confidence reaches the threshold. Prints precision,
+ * recall, F1 and a confusion matrix per threshold, then a label-by-category
+ * matrix at the "Likely AI" tier. With --min-f1, exits non-zero when F1 at
+ * that tier falls below the given value. Also exits non-zero when a tweet
+ * does not fire every signal listed in its expectSignals.
+ */
+
+const path = require('path');
+const {
+  AIDetector,
+  LABELS,
+  createDetector,
+  readCorpus,
+  exampleMetadata,
+  parseArgs
+} = require('./detector-node');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'corpus', 'test-cases.jsonl');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpusPath = args._[0] || DEFAULT_CORPUS;
+  const examples = readCorpus(corpusPath);
+  const detector = await createDetector();
+  const tierThreshold = detector.tierThresholds.likelyAI;
+
+  const thresholds = args.thresholds
+    ? args.thresholds.split(',').map(Number)
+    : [detector.tierThresholds.uncertain, 0.5, tierThreshold, 0.75, detector.tierThresholds.confirmedBot];
+
+  // Analyze in corpus order so duplicate detection sees earlier tweets
+  const results = [];
+  for (const example of examples) {
+    const result = await detector.analyze(example.text, exampleMetadata(example));
+    results.push({ example, result });
+  }
+
+  console.log(`Corpus: ${corpusPath} (${examples.length} tweets, ` +
+    `${examples.filter(e => e.label !== 'human').length} AI, ${examples.filter(e => e.label === 'human').length} human)\n`);
+
+  if (args.verbose) {
+    printPredictions(results, tierThreshold);
+  }
+
+  console.log('Threshold  Precision  Recall     F1         TP   FP   FN   TN');
+  let tierF1 = 0;
+  for (const threshold of thresholds) {
+    const matrix = binaryConfusion(results, threshold);
+    const metrics = scoreMatrix(matrix);
+    if (threshold === tierThreshold) tierF1 = metrics.f1;
+
+    console.log([
+      threshold.toFixed(2).padEnd(10),
+      formatRatio(metrics.precision).padEnd(10),
+      formatRatio(metrics.recall).padEnd(10),
+      formatRatio(metrics.f1).padEnd(10),
+      String(matrix.tp).padStart(3),
+      String(matrix.fp).padStart(4),
+      String(matrix.fn).padStart(4),
+      String(matrix.tn).padStart(4)
+    ].join(' '));
+  }
+
+  printCategoryMatrix(results, tierThreshold);
+
+  const missing = checkExpectedSignals(detector, results);
+  if (missing.length > 0) {
+    console.error('\nFAIL: expected signals did not fire:');
+    missing.forEach(line => console.error(`  ${line}`));
+    process.exit(1);
+  }
+
+  if (args['min-f1'] !== undefined) {
+    if (!thresholds.includes(tierThreshold)) {
+      tierF1 = scoreMatrix(binaryConfusion(results, tierThreshold)).f1;
+    }
+    const minF1 = Number(args['min-f1']);
+    if (tierF1 < minF1) {
+      console.error(`\nFAIL: F1 ${formatRatio(tierF1)} at threshold ${tierThreshold} is below ${minF1}`);
+      process.exit(1);
+    }
+    console.log(`\nOK: F1 ${formatRatio(tierF1)} at threshold ${tierThreshold} >= ${minF1}`);
+  }
+}
+
+/**
+ * Expected signals that a tweet did not fire, as "id: signal" lines
+ */
+function checkExpectedSignals(detector, results) {
+  const missing = [];
+  for (const { example, result } of results) {
+    if (!example.expectSignals) continue;
+    const vector = result.features ? detector.getSignalVector(result.features) : {};
+    for (const name of example.expectSignals) {
+      if (!vector[name]) {
+        missing.push(`${example.id || example.text.slice(0, 20)}: ${name}`);
+      }
+    }
+  }
+  return missing;
+}
+
+function binaryConfusion(results, threshold) {
+  const matrix = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const { example, result } of results) {
+    const actual = example.label !== 'human';
+    const predicted = result.confidence >= threshold;
+    if (actual && predicted) matrix.tp++;
+    else if (!actual && predicted) matrix.fp++;
+    else if (actual && !predicted) matrix.fn++;
+    else matrix.tn++;
+  }
+  return matrix;
+}
+
+function scoreMatrix({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+/**
+ * Rows are corpus labels, columns the predicted category ("human" below threshold)
+ */
+function printCategoryMatrix(results, threshold) {
+  const columns = ['human', ...AIDetector.CATEGORIES];
+  const counts = Object.fromEntries(LABELS.map(label => [label, Object.fromEntries(columns.map(c => [c, 0]))]));
+
+  for (const { example, result } of results) {
+    const predicted = result.confidence >= threshold ? result.category : 'human';
+    counts[example.label][predicted]++;
+  }
+
+  console.log(`\nLabel vs predicted category at threshold ${threshold.toFixed(2)}:`);
+  console.log('actual \\ predicted'.padEnd(20) + columns.map(c => c.padStart(11)).join(''));
+  for (const label of LABELS) {
+    const total = columns.reduce((sum, c) => sum + counts[label][c], 0);
+    if (total === 0) continue;
+    console.log(label.padEnd(20) + columns.map(c => String(counts[label][c]).padStart(11)).join(''));
+  }
+}
+
+function printPredictions(results, threshold) {
+  for (const { example, result } of results) {
+    const predicted = result.confidence >= threshold ? result.category : 'human';
+    const mark = (predicted === 'human') === (example.label === 'human') ? ' ' : '✗';
+    const id = example.id || example.text.slice(0, 20);
+    console.log(`${mark} ${id}: ${example.label} -> ${predicted} (${result.confidence.toFixed(2)}) ${result.reasons.join('; ')}`);
+  }
+  console.log('');
+}
+
+function formatRatio(value) {
+  return value.toFixed(3);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * Train the logistic regression model used by AIDetector
+ *
+ * Usage:
+ *   node tools/train-model.js <corpus.jsonl> --out <model.json> [--epochs 2000] [--lr 0.5] [--l2 0.01]
+ *
+ * Each corpus line is { "text": "...", "label": "human|llm|spam|lowEffort|duplicate" }
+ * with optional username/displayName, replyTo (the parent tweet's text) and
+ * timestamp. Every category gets its own one-vs-rest head fitted by gradient
+ * descent on L2-regularised log loss, so its output is a probability. Heads
+ * with no positive examples keep their current weights, and so do signals
+ * that never fire anywhere in the corpus (the corpus says nothing about them).
+ * Examples with a label in OWN_HEAD_LABELS only train that label's head, and
+ * signals in OWN_HEAD_SIGNALS only get a weight in the head they belong to.
+ * --out is required so a trial run never overwrites the shipped ai-model.json
+ * by accident; pass that path explicitly to replace it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  AIDetector,
+  EXTENSION_DIR,
+  createDetector,
+  readCorpus,
+  exampleMetadata,
+  parseArgs
+} = require('./detector-node');
+
+// A copy is labeled duplicate whatever wrote it, so it says nothing about the
+// other labels. As a negative for them it would teach the llm head to subtract
+// duplicateContent (and distrust AI wording), scoring a copied LLM tweet below
+// its original.
+const OWN_HEAD_LABELS = ['duplicate'];
+
+// Whether a tweet is a copy says nothing about who wrote it, so the other heads
+// keep duplicateContent at 0 instead of learning from the few copies labeled
+// with them
+const OWN_HEAD_SIGNALS = { duplicateContent: 'duplicate' };
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpusPath = args._[0];
+  if (!corpusPath || !args.out) {
+    console.error('Usage: node tools/train-model.js <corpus.jsonl> --out <model.json> [--epochs n] [--lr n] [--l2 n]');
+    console.error(`To replace the shipped model, pass --out "${path.join(EXTENSION_DIR, 'ai-model.json')}"`);
+    process.exit(1);
+  }
+
+  const outPath = args.out;
+  const options = {
+    epochs: Number(args.epochs || 2000),
+    learningRate: Number(args.lr || 0.5),
+    l2: Number(args.l2 || 0.01)
+  };
+
+  const examples = readCorpus(corpusPath);
+  const detector = await createDetector();
+  const signalNames = Object.keys(detector.patterns.scoring.signals);
+
+  // Extract features in corpus order so duplicate detection sees earlier tweets
+  const vectors = examples.map(example => {
+    const features = detector.extractFeatures(example.text, exampleMetadata(example));
+    const vector = detector.getSignalVector(features);
+    return signalNames.map(name => vector[name]);
+  });
+  const unseen = signalNames.filter((name, i) => vectors.every(x => x[i] === 0));
+  if (unseen.length > 0) {
+    console.warn(`No example fires ${unseen.join(', ')}; keeping their current weights`);
+  }
+
+  const model = {
+    ...detector.model,
+    trainedOn: {
+      corpus: path.basename(corpusPath),
+      examples: examples.length,
+      date: new Date().toISOString().slice(0, 10),
+      ...options,
+      keptSignals: unseen
+    },
+    heads: { ...detector.model.heads }
+  };
+
+  for (const category of AIDetector.CATEGORIES) {
+    const used = examples
+      .map((example, i) => i)
+      .filter(i => examples[i].label === category || !OWN_HEAD_LABELS.includes(examples[i].label));
+    const masked = signalNames.map(name => (OWN_HEAD_SIGNALS[name] || category) !== category);
+    const headVectors = used.map(i => vectors[i].map((value, j) => (masked[j] ? 0 : value)));
+    const labels = used.map(i => (examples[i].label === category ? 1 : 0));
+    const positives = labels.reduce((sum, y) => sum + y, 0);
+
+    if (positives === 0) {
+      console.warn(`${category}: no positive examples, keeping current weights`);
+      continue;
+    }
+
+    const head = fitHead(headVectors, labels, options);
+    const current = detector.model.heads[category].weights;
+    model.heads[category] = {
+      bias: round(head.bias),
+      weights: Object.fromEntries(signalNames
+        .map((name, i) => [name, unseen.includes(name) ? current[name] || 0 : round(head.weights[i])])
+        .filter(([, weight]) => weight !== 0))
+    };
+
+    const probabilities = headVectors.map(x => predict(head, x));
+    report(category, labels, probabilities);
+  }
+
+  fs.writeFileSync(outPath, JSON.stringify(model, null, 2) + '\n');
+  console.log(`\nModel written to ${outPath}`);
+}
+
+/**
+ * Batch gradient descent on L2-regularised log loss
+ */
+function fitHead(vectors, labels, { epochs, learningRate, l2 }) {
+  const dims = vectors[0].length;
+  const head = { bias: 0, weights: new Array(dims).fill(0) };
+  const n = vectors.length;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(dims).fill(0);
+    let biasGradient = 0;
+
+    vectors.forEach((x, i) => {
+      const error = predict(head, x) - labels[i];
+      biasGradient += error;
+      for (let j = 0; j < dims; j++) {
+        gradient[j] += error * x[j];
+      }
+    });
+
+    head.bias -= learningRate * (biasGradient / n);
+    for (let j = 0; j < dims; j++) {
+      head.weights[j] -= learningRate * (gradient[j] / n + l2 * head.weights[j]);
+    }
+  }
+
+  return head;
+}
+
+function predict(head, x) {
+  const z = x.reduce((sum, value, j) => sum + head.weights[j] * value, head.bias);
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Print log loss, Brier score and a reliability table for one head
+ */
+function report(category, labels, probabilities) {
+  const n = labels.length;
+  const eps = 1e-12;
+  let logLoss = 0;
+  let brier = 0;
+
+  labels.forEach((y, i) => {
+    const p = Math.min(Math.max(probabilities[i], eps), 1 - eps);
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+    brier += (p - y) ** 2;
+  });
+
+  console.log(`\n${category}: ${labels.filter(Boolean).length}/${n} positive, ` +
+    `log loss ${(logLoss / n).toFixed(4)}, Brier ${(brier / n).toFixed(4)}`);
+
+  // Reliability: mean predicted probability vs observed rate per bin
+  const bins = 5;
+  for (let b = 0; b < bins; b++) {
+    const low = b / bins;
+    const high = (b + 1) / bins;
+    const members = probabilities
+      .map((p, i) => ({ p, y: labels[i] }))
+      .filter(({ p }) => p >= low && (p < high || (b === bins - 1 && p <= high)));
+    if (members.length === 0) continue;
+
+    const meanP = members.reduce((sum, m) => sum + m.p, 0) / members.length;
+    const rate = members.reduce((sum, m) => sum + m.y, 0) / members.length;
+    console.log(`  ${low.toFixed(1)}-${high.toFixed(1)}: n=${members.length}, predicted ${meanP.toFixed(2)}, observed ${rate.toFixed(2)}`);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});